@@ -5,6 +5,19 @@
  *
  * Chrome communicates via stdin/stdout using length-prefixed JSON messages.
  * Message format: 4-byte little-endian length prefix followed by UTF-8 JSON.
+ *
+ * Every request carries an `id` that the reply echoes. The first request must be a
+ * `handshake` declaring the vault root; every path after that is resolved against it
+ * (relative paths are preferred) and rejected if it leads outside the vault.
+ *
+ * Chrome drops any message from the host larger than 1 MB, so file contents travel in
+ * base64 chunks: `readFile` with `encoding: 'base64'` replies with a run of messages
+ * numbered by `seq` (the last one has `done: true`), and large writes go through
+ * `beginWrite`, one `writeChunk` per sequence number, then `endWrite`.
+ *
+ * After a `watch` request the host also pushes messages of its own, without an `id`:
+ * `{ event: 'changes', changes }` for edits made to the vault outside the app, and
+ * `{ event: 'watchError', code, error }` if watching stops.
  */
 
 const fs = require('fs');
@@ -70,8 +83,119 @@ function sendMessage(msg) {
     process.stdout.write(buf);
 }
 
+// Raw bytes per chunk; base64 grows this by a third, which keeps each message well under 1 MB
+const CHUNK_BYTES = 512 * 1024;
+
+// ── Errors ──
+// Failed requests reply with { success: false, code, error }. `code` is one of:
+//   NO_VAULT          no vault root has been declared with a handshake yet
+//   INVALID_REQUEST   missing or malformed fields, or an operation that makes no sense (e.g. deleting the root)
+//   OUTSIDE_VAULT     the path (or a symlink along it) leads outside the vault root
+//   NOT_FOUND         nothing exists at the path
+//   ALREADY_EXISTS    the destination is already taken
+//   NOT_A_DIRECTORY   a folder was expected
+//   IS_A_DIRECTORY    a file was expected
+//   NOT_EMPTY         the folder still has entries
+//   PERMISSION_DENIED the OS refused access
+//   UNKNOWN_TYPE      the message type isn't supported
+//   IO_ERROR          anything else
+const ERRNO_CODES = {
+    ENOENT: 'NOT_FOUND',
+    EEXIST: 'ALREADY_EXISTS',
+    ENOTDIR: 'NOT_A_DIRECTORY',
+    EISDIR: 'IS_A_DIRECTORY',
+    ENOTEMPTY: 'NOT_EMPTY',
+    EACCES: 'PERMISSION_DENIED',
+    EPERM: 'PERMISSION_DENIED',
+};
+
+function hostError(code, message) {
+    const err = new Error(message);
+    err.hostCode = code;
+    return err;
+}
+
+function errorReply(id, e) {
+    const code = e.hostCode || ERRNO_CODES[e.code] || 'IO_ERROR';
+    return { id, success: false, code, error: e.message };
+}
+
+// ── Vault sandbox ──
+// Absolute, symlink-free path of the vault declared by the handshake
+let vaultRoot = null;
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === '' || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel));
+}
+
+/**
+ * Resolve a path from a message (relative to the vault root, or absolute) and make sure it
+ * stays inside the vault, including after following any symlinks in the part that exists.
+ */
+function resolveInVault(p) {
+    if (!vaultRoot) throw hostError('NO_VAULT', 'No vault root has been declared');
+    if (typeof p !== 'string') throw hostError('INVALID_REQUEST', 'Missing path');
+    const resolved = path.resolve(vaultRoot, p);
+    if (!isInside(vaultRoot, resolved)) throw hostError('OUTSIDE_VAULT', `Path is outside the vault: ${p}`);
+
+    // Walk up to the deepest entry that exists (a dangling symlink counts) and check where it really leads
+    let existing = resolved;
+    while (existing !== vaultRoot) {
+        try {
+            fs.lstatSync(existing);
+            break;
+        } catch {
+            existing = path.dirname(existing);
+        }
+    }
+    let real;
+    try {
+        real = fs.realpathSync(existing);
+    } catch {
+        throw hostError('OUTSIDE_VAULT', `Path leads through a broken symlink: ${p}`);
+    }
+    if (!isInside(vaultRoot, real)) throw hostError('OUTSIDE_VAULT', `Path leads outside the vault through a symlink: ${p}`);
+    return resolved;
+}
+
+// Same as resolveInVault, but refuses the vault root itself
+function resolveEntryInVault(p) {
+    const resolved = resolveInVault(p);
+    if (resolved === vaultRoot) throw hostError('INVALID_REQUEST', 'This operation cannot be applied to the vault root');
+    return resolved;
+}
+
+// The symlink at `p` if it sits in a folder inside the vault, wherever it leads; otherwise null
+function symlinkInVault(p) {
+    if (!vaultRoot || typeof p !== 'string') return null;
+    const resolved = path.resolve(vaultRoot, p);
+    if (resolved === vaultRoot || !isInside(vaultRoot, resolved)) return null;
+    try {
+        resolveInVault(path.dirname(resolved));
+        return fs.lstatSync(resolved).isSymbolicLink() ? resolved : null;
+    } catch {
+        return null;
+    }
+}
+
+// Vault-relative, '/'-separated form of an absolute path, as sent back to the page
+function toVaultPath(absolutePath) {
+    return path.relative(vaultRoot, absolutePath).split(path.sep).join('/');
+}
+
+function handshake(root) {
+    if (vaultRoot) throw hostError('INVALID_REQUEST', 'The vault root has already been declared');
+    if (typeof root !== 'string' || !path.isAbsolute(root)) throw hostError('INVALID_REQUEST', 'The vault root must be an absolute path');
+    const real = fs.realpathSync(root);
+    if (!fs.statSync(real).isDirectory()) throw hostError('NOT_A_DIRECTORY', `Not a folder: ${root}`);
+    vaultRoot = real;
+}
+
 // ── Recursively list a directory ──
-function listDirectory(dirPath) {
+// By default only markdown files and visible folders are listed, recursively. `includeAll`
+// adds every other file and hidden entries such as .Assets; `recursive: false` lists one level.
+function listDirectory(dirPath, { includeAll = false, recursive = true } = {}) {
     const entries = [];
     try {
         const items = fs.readdirSync(dirPath, { withFileTypes: true });
@@ -82,19 +206,19 @@ function listDirectory(dirPath) {
             return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
         });
         for (const item of items) {
-            if (item.name.startsWith('.')) continue; // Skip hidden files
+            if (!includeAll && item.name.startsWith('.')) continue; // Skip hidden files
             const fullPath = path.join(dirPath, item.name);
             if (item.isDirectory()) {
                 entries.push({
                     name: item.name,
-                    path: fullPath,
+                    path: toVaultPath(fullPath),
                     type: 'directory',
-                    children: listDirectory(fullPath),
+                    ...(recursive && { children: listDirectory(fullPath, { includeAll, recursive }) }),
                 });
-            } else if (item.name.endsWith('.md')) {
+            } else if (includeAll || item.name.endsWith('.md')) {
                 entries.push({
                     name: item.name,
-                    path: fullPath,
+                    path: toVaultPath(fullPath),
                     type: 'file',
                 });
             }
@@ -105,53 +229,416 @@ function listDirectory(dirPath) {
     return entries;
 }
 
+// ── Chunked transfers ──
+// Send a file as base64 chunks: { id, success, size, seq, done, data }
+function sendFileChunks(id, filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        const buffer = Buffer.alloc(Math.min(CHUNK_BYTES, size));
+        let offset = 0;
+        // An empty file still gets one (empty, final) chunk
+        for (let seq = 0, done = false; !done; seq++) {
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, offset);
+            offset += bytesRead;
+            done = bytesRead === 0 || offset >= size;
+            sendMessage({ id, success: true, size, seq, done, data: buffer.toString('base64', 0, bytesRead) });
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Uploads in progress: transferId -> { fd, tempPath, target, nextSeq }
+const transfers = new Map();
+let nextTransferId = 1;
+
+function getTransfer(transferId) {
+    const transfer = transfers.get(transferId);
+    if (!transfer) throw hostError('INVALID_REQUEST', `Unknown transfer: ${transferId}`);
+    return transfer;
+}
+
+// Drop a transfer and its partial file
+function abortTransfer(transferId) {
+    const transfer = transfers.get(transferId);
+    if (!transfer) return;
+    transfers.delete(transferId);
+    try {
+        fs.closeSync(transfer.fd);
+    } catch {
+        // Already closed
+    }
+    fs.rmSync(transfer.tempPath, { force: true });
+}
+
+function beginWrite(filePath) {
+    const target = resolveEntryInVault(filePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const transferId = nextTransferId++;
+    // Written beside the target and renamed over it at the end, so readers never see half a file
+    const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}-${transferId}.partial`);
+    const fd = fs.openSync(tempPath, 'w');
+    transfers.set(transferId, { fd, tempPath, target, nextSeq: 0 });
+    return transferId;
+}
+
+function writeChunk(transferId, seq, data) {
+    const transfer = getTransfer(transferId);
+    if (seq !== transfer.nextSeq) {
+        abortTransfer(transferId);
+        throw hostError('INVALID_REQUEST', `Expected chunk ${transfer.nextSeq} but got ${seq}`);
+    }
+    fs.writeSync(transfer.fd, Buffer.from(data ?? '', 'base64'));
+    transfer.nextSeq++;
+}
+
+function endWrite(transferId) {
+    const transfer = getTransfer(transferId);
+    transfers.delete(transferId);
+    try {
+        fs.closeSync(transfer.fd);
+        fs.renameSync(transfer.tempPath, transfer.target);
+    } catch (e) {
+        fs.rmSync(transfer.tempPath, { force: true });
+        throw e;
+    }
+    return fs.statSync(transfer.target).size;
+}
+
+// ── Watching ──
+// Raw fs.watch events are collected per path and flushed once they go quiet for this long…
+const WATCH_DEBOUNCE_MS = 150;
+// …or after this long regardless, so a steady stream of writes still gets reported
+const WATCH_MAX_DELAY_MS = 1000;
+
+let watcher = null;
+let watchIndex = null; // vault path -> { ino, kind, mtime } for everything the watcher has seen
+let pendingPaths = new Set();
+let batchStartedAt = 0;
+let flushTimer = null;
+
+// Git churns through its own folder on every command; nobody needs those events
+function isIgnored(vaultPath) {
+    return vaultPath === '.git' || vaultPath.startsWith('.git/');
+}
+
+function statEntry(vaultPath) {
+    try {
+        const stats = fs.lstatSync(path.join(vaultRoot, vaultPath));
+        return { ino: stats.ino, kind: stats.isDirectory() ? 'directory' : 'file', mtime: stats.mtimeMs };
+    } catch {
+        return null;
+    }
+}
+
+// Record an entry and, for a folder, everything inside it
+function indexTree(vaultPath, entry) {
+    watchIndex.set(vaultPath, entry);
+    if (entry.kind !== 'directory') return;
+    let names;
+    try {
+        names = fs.readdirSync(path.join(vaultRoot, vaultPath));
+    } catch {
+        return;
+    }
+    for (const name of names) {
+        const childPath = vaultPath ? `${vaultPath}/${name}` : name;
+        if (isIgnored(childPath)) continue;
+        const child = statEntry(childPath);
+        if (child) indexTree(childPath, child);
+    }
+}
+
+function unindexTree(vaultPath) {
+    for (const key of [...watchIndex.keys()]) {
+        if (key === vaultPath || key.startsWith(vaultPath + '/')) watchIndex.delete(key);
+    }
+}
+
+/**
+ * Turn the paths touched since the last flush into typed changes by comparing them with the
+ * index: { type: 'created' | 'changed' | 'deleted' | 'renamed', path, oldPath?, kind, mtime? }.
+ * A deletion and a creation of the same inode in one batch are reported as a rename.
+ */
+function flushWatchEvents() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    // Parents sort before their children, so a moved folder is handled before anything inside it
+    const paths = [...pendingPaths].sort();
+    pendingPaths = new Set();
+
+    const changes = [];
+    const created = new Map(); // ino -> entry
+    const deleted = [];
+    for (const vaultPath of paths) {
+        const before = watchIndex.get(vaultPath);
+        const now = statEntry(vaultPath);
+        // Same entry, or a file replaced in place (editors often save by renaming a temp file over the original)
+        if (before && now && before.kind === now.kind && (before.ino === now.ino || now.kind === 'file')) {
+            watchIndex.set(vaultPath, now);
+            if (now.kind === 'file' && now.mtime !== before.mtime) {
+                changes.push({ type: 'changed', path: vaultPath, kind: 'file', mtime: now.mtime });
+            }
+            continue;
+        }
+        if (before) {
+            unindexTree(vaultPath);
+            deleted.push({ path: vaultPath, ...before });
+        }
+        if (now) {
+            indexTree(vaultPath, now);
+            created.set(now.ino, { path: vaultPath, ...now });
+        }
+    }
+
+    for (const entry of deleted) {
+        const target = created.get(entry.ino);
+        if (target) {
+            created.delete(entry.ino);
+            changes.push({ type: 'renamed', oldPath: entry.path, path: target.path, kind: target.kind, mtime: target.mtime });
+        } else {
+            changes.push({ type: 'deleted', path: entry.path, kind: entry.kind });
+        }
+    }
+    for (const entry of created.values()) {
+        changes.push({ type: 'created', path: entry.path, kind: entry.kind, mtime: entry.mtime });
+    }
+
+    if (changes.length) sendMessage({ event: 'changes', changes });
+}
+
+function startWatching() {
+    resolveInVault('');
+    if (watcher) return;
+    watchIndex = new Map();
+    indexTree('', statEntry(''));
+    watcher = fs.watch(vaultRoot, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const vaultPath = filename.toString().split(path.sep).join('/');
+        if (isIgnored(vaultPath)) return;
+        if (pendingPaths.size === 0) batchStartedAt = Date.now();
+        pendingPaths.add(vaultPath);
+        clearTimeout(flushTimer);
+        if (Date.now() - batchStartedAt >= WATCH_MAX_DELAY_MS) flushWatchEvents();
+        else flushTimer = setTimeout(flushWatchEvents, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', (e) => {
+        const { code, error } = errorReply(undefined, e);
+        sendMessage({ event: 'watchError', code, error });
+        stopWatching();
+    });
+}
+
+function stopWatching() {
+    if (!watcher) return;
+    watcher.close();
+    watcher = null;
+    watchIndex = null;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pendingPaths = new Set();
+}
+
+// ── Moving entries ──
+function assertFree(target) {
+    if (fs.existsSync(target)) throw hostError('ALREADY_EXISTS', `Already exists: ${toVaultPath(target)}`);
+}
+
+function moveEntry(from, to) {
+    if (isInside(from, to)) throw hostError('INVALID_REQUEST', 'Cannot move a folder into itself');
+    assertFree(to);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    try {
+        fs.renameSync(from, to);
+    } catch (e) {
+        // Crossing devices (e.g. a mounted subfolder) needs a real copy
+        if (e.code !== 'EXDEV') throw e;
+        fs.cpSync(from, to, { recursive: true, errorOnExist: true, force: false });
+        fs.rmSync(from, { recursive: true });
+    }
+}
+
+// Pick "name", "name 1", "name 2", … so nothing in the trash is overwritten
+function uniqueTrashPath(trashDir, name) {
+    const ext = path.extname(name);
+    const stem = name.slice(0, name.length - ext.length);
+    let candidate = path.join(trashDir, name);
+    for (let i = 1; fs.existsSync(candidate); i++) candidate = path.join(trashDir, `${stem} ${i}${ext}`);
+    return candidate;
+}
+
 // ── Handle incoming messages ──
 async function handleMessage(msg) {
     try {
         switch (msg.type) {
+            case 'handshake': {
+                handshake(msg.root);
+                sendMessage({ id: msg.id, success: true, root: vaultRoot });
+                break;
+            }
+
             case 'listDirectory': {
-                const tree = listDirectory(msg.path);
+                const tree = listDirectory(resolveInVault(msg.path), {
+                    includeAll: msg.includeAll === true,
+                    recursive: msg.recursive !== false,
+                });
                 sendMessage({ id: msg.id, success: true, tree });
                 break;
             }
 
             case 'readFile': {
-                const content = fs.readFileSync(msg.path, 'utf-8');
+                const filePath = resolveInVault(msg.path);
+                if (msg.encoding === 'base64') {
+                    sendFileChunks(msg.id, filePath);
+                    break;
+                }
+                const content = fs.readFileSync(filePath, 'utf-8');
                 sendMessage({ id: msg.id, success: true, content });
                 break;
             }
 
             case 'writeFile': {
-                fs.writeFileSync(msg.path, msg.content, 'utf-8');
+                fs.writeFileSync(resolveInVault(msg.path), msg.content, 'utf-8');
+                sendMessage({ id: msg.id, success: true });
+                break;
+            }
+
+            case 'beginWrite': {
+                const transferId = beginWrite(msg.path);
+                sendMessage({ id: msg.id, success: true, transferId });
+                break;
+            }
+
+            case 'writeChunk': {
+                writeChunk(msg.transferId, msg.seq, msg.data);
+                sendMessage({ id: msg.id, success: true });
+                break;
+            }
+
+            case 'endWrite': {
+                const size = endWrite(msg.transferId);
+                sendMessage({ id: msg.id, success: true, size });
+                break;
+            }
+
+            case 'abortWrite': {
+                abortTransfer(msg.transferId);
                 sendMessage({ id: msg.id, success: true });
                 break;
             }
 
             case 'createFile': {
-                const filePath = path.join(msg.parentPath, msg.name);
+                const filePath = resolveEntryInVault(path.join(msg.parentPath ?? '', msg.name ?? ''));
                 fs.writeFileSync(filePath, '', 'utf-8');
-                sendMessage({ id: msg.id, success: true, path: filePath });
+                sendMessage({ id: msg.id, success: true, path: toVaultPath(filePath) });
                 break;
             }
 
             case 'createFolder': {
-                const folderPath = path.join(msg.parentPath, msg.name);
+                const folderPath = resolveInVault(path.join(msg.parentPath ?? '', msg.name ?? ''));
                 fs.mkdirSync(folderPath, { recursive: true });
-                sendMessage({ id: msg.id, success: true, path: folderPath });
+                sendMessage({ id: msg.id, success: true, path: toVaultPath(folderPath) });
+                break;
+            }
+
+            case 'stat': {
+                const stats = fs.statSync(resolveInVault(msg.path));
+                sendMessage({
+                    id: msg.id,
+                    success: true,
+                    type: stats.isDirectory() ? 'directory' : 'file',
+                    mtime: stats.mtimeMs,
+                    size: stats.size,
+                });
+                break;
+            }
+
+            case 'exists': {
+                const target = resolveInVault(msg.path);
+                let type = null;
+                try {
+                    type = fs.statSync(target).isDirectory() ? 'directory' : 'file';
+                } catch (e) {
+                    if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+                }
+                sendMessage({ id: msg.id, success: true, exists: type !== null, type });
+                break;
+            }
+
+            case 'rename': {
+                const from = resolveEntryInVault(msg.path);
+                if (typeof msg.newName !== 'string' || !msg.newName || /[\\/]/.test(msg.newName) || msg.newName === '.' || msg.newName === '..') {
+                    throw hostError('INVALID_REQUEST', 'The new name must be a single path segment');
+                }
+                const to = resolveEntryInVault(path.join(path.dirname(from), msg.newName));
+                moveEntry(from, to);
+                sendMessage({ id: msg.id, success: true, path: toVaultPath(to) });
+                break;
+            }
+
+            case 'move': {
+                const from = resolveEntryInVault(msg.from);
+                const to = resolveEntryInVault(msg.to);
+                moveEntry(from, to);
+                sendMessage({ id: msg.id, success: true, path: toVaultPath(to) });
+                break;
+            }
+
+            case 'trash': {
+                const from = resolveEntryInVault(msg.path);
+                const trashDir = resolveInVault('.Trash');
+                if (isInside(trashDir, from)) throw hostError('INVALID_REQUEST', 'Already in the trash');
+                const to = uniqueTrashPath(trashDir, path.basename(from));
+                moveEntry(from, to);
+                sendMessage({ id: msg.id, success: true, path: toVaultPath(to) });
+                break;
+            }
+
+            case 'delete': {
+                // A symlink is unlinked itself rather than followed, so one leading outside the vault
+                // can be deleted too
+                const link = symlinkInVault(msg.path);
+                if (link) fs.unlinkSync(link);
+                else fs.rmSync(resolveEntryInVault(msg.path), { recursive: true });
+                sendMessage({ id: msg.id, success: true });
+                break;
+            }
+
+            case 'watch': {
+                startWatching();
+                sendMessage({ id: msg.id, success: true });
+                break;
+            }
+
+            case 'unwatch': {
+                stopWatching();
+                sendMessage({ id: msg.id, success: true });
                 break;
             }
 
             default:
-                sendMessage({ id: msg.id, success: false, error: `Unknown type: ${msg.type}` });
+                throw hostError('UNKNOWN_TYPE', `Unknown type: ${msg.type}`);
         }
     } catch (e) {
-        sendMessage({ id: msg.id, success: false, error: e.message });
+        sendMessage(errorReply(msg.id, e));
     }
 }
 
 // ── Main loop ──
+function shutdown() {
+    // Don't leave partial files behind when Chrome disconnects mid-upload
+    for (const transferId of [...transfers.keys()]) abortTransfer(transferId);
+    stopWatching();
+}
+
 async function main() {
     process.stdin.resume();
+    // Chrome closes stdin when the port disconnects; an open watcher would otherwise keep the host alive
+    process.stdin.on('end', () => {
+        shutdown();
+        process.exit(0);
+    });
     while (true) {
         try {
             const msg = await readMessage();
@@ -161,6 +648,7 @@ async function main() {
             break;
         }
     }
+    shutdown();
 }
 
 main();
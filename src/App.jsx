@@ -1,20 +1,64 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { useFileSystem } from './context/FileSystemContext.jsx';
 import { HELP_DOC_CONTENT } from './utils/helpDoc.js';
+import { basename, dirname } from './utils/fileTree.js';
+import { resolveWikilink } from './utils/wikilinks.js';
+import { collectMoves, planLinkUpdates } from './utils/linkRewrite.js';
+import { resolveRelativeHref } from './utils/vaultIndex.js';
+import { exportNoteHtml } from './utils/exportHtml.js';
+import { downloadBlob } from './utils/download.js';
+import { printNote } from './utils/printNote.js';
+import { isValidTag, renameTag } from './utils/tags.js';
+import { uniqueEntryName } from './utils/trash.js';
 import './index.css';
 import FileExplorer from './components/FileExplorer.jsx';
 import EditorPane from './components/EditorPane.jsx';
 import SettingsPanel from './components/SettingsPanel.jsx';
-import { Settings, HelpCircle } from './components/icons.jsx';
+import BacklinksPanel from './components/BacklinksPanel.jsx';
+import SearchPane from './components/SearchPane.jsx';
+import QuickSwitcher from './components/QuickSwitcher.jsx';
+import ConflictDialog from './components/ConflictDialog.jsx';
+import TrashView from './components/TrashView.jsx';
+import LinkUpdateDialog from './components/LinkUpdateDialog.jsx';
+import TagPane from './components/TagPane.jsx';
+import TabBar from './components/TabBar.jsx';
+import { Settings, HelpCircle, FolderIcon, SearchIcon, Trash2, TagIcon } from './components/icons.jsx';
+
+/**
+ * Stable-sort tabs so the pinned ones come first, keeping their relative order.
+ */
+function sortPinnedFirst(tabs) {
+  return [...tabs.filter(t => t.pinned), ...tabs.filter(t => !t.pinned)];
+}
+
+/**
+ * Where a note named by a vault-relative path like "Projects/Idea" lives: { folder, fileName, path }.
+ * ".md" is added unless the name has an extension. Null for an empty path.
+ */
+function noteLocation(notePath) {
+  const segments = notePath.split('/').map(s => s.trim()).filter(Boolean);
+  if (segments.length === 0) return null;
+  const fileName = /\.[^./]+$/.test(segments[segments.length - 1])
+    ? segments.pop()
+    : segments.pop() + '.md';
+  const folder = segments.join('/');
+  return { folder, fileName, path: folder ? `${folder}/${fileName}` : fileName };
+}
 
 export default function App() {
   const {
-    rootHandle,
+    storage,
     fileTree,
+    vaultFiles,
+    loadDirectory,
     isLoading,
     previousVault,
     pickDirectory,
+    importFolder,
+    exportVault,
     readFile,
+    readBlob,
+    readAsset,
     writeFile,
     createFile,
     createFolder,
@@ -22,14 +66,36 @@ export default function App() {
     moveToTrash,
     moveFile,
     renameFile,
+    statFile,
+    kindOf,
+    subscribeExternalChanges,
+    vaultIndex,
   } = useFileSystem();
 
-  const [activeFile, setActiveFile] = useState(null);
-  const [fileContent, setFileContent] = useState('');
+  // Open tabs: [{ id, paneId, file, content, mode, pinned }]. Each pane shows its tabs in array order,
+  // pinned tabs first. `mode` is 'edit' or 'read'; EditorPane keeps each tab's CodeMirror state
+  // (history, selection, scroll). Tabs of the same note in different panes share their content.
+  const [tabs, setTabs] = useState([]);
+  // Editor panes, side by side for a 'vertical' split or stacked for a 'horizontal' one:
+  // [{ id, activeTabId, size }], where `size` is the pane's share of the editor area
+  const [panes, setPanes] = useState([{ id: 'pane-1', activeTabId: null, size: 1 }]);
+  const [activePaneId, setActivePaneId] = useState('pane-1');
+  const [splitDirection, setSplitDirection] = useState('vertical');
   const [saveStatus, setSaveStatus] = useState('');
 
-  // Editor mode ('edit' or 'read')
-  const [editorMode, setEditorMode] = useState('read');
+  const activePane = panes.find(p => p.id === activePaneId) || panes[0];
+  const activeFile = tabs.find(t => t.id === activePane.activeTabId)?.file ?? null;
+
+  // What each open note looked like on disk when last read or written, keyed by path: { content, lastModified, size }.
+  // Used to tell our own edits apart from changes made by other apps.
+  const diskSnapshotsRef = useRef(new Map());
+  // Pending disagreement between a tab and the disk: { tabId, path, base, mine, disk } (disk is null if deleted)
+  const [conflict, setConflict] = useState(null);
+  const conflictRef = useRef(null);
+  const conflictTab = conflict && tabs.find(t => t.id === conflict.tabId);
+
+  // Rename/move waiting for the user to confirm the link rewrites it implies: { title, plan, resolve }
+  const [linkUpdate, setLinkUpdate] = useState(null);
 
   // The global light/dark theme state
   const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
@@ -38,7 +104,25 @@ export default function App() {
   const [editorFontSize, setEditorFontSize] = useState(() => parseInt(localStorage.getItem('editorFontSize') || '16', 10));
   const [treeFontSize, setTreeFontSize] = useState(() => parseInt(localStorage.getItem('treeFontSize') || '13', 10));
   const [editorPadding, setEditorPadding] = useState(() => parseInt(localStorage.getItem('editorPadding') || '6', 10));
+  const [printPageSize, setPrintPageSize] = useState(() => localStorage.getItem('printPageSize') || 'A4');
+  const [printMargin, setPrintMargin] = useState(() => parseInt(localStorage.getItem('printMargin') || '20', 10));
   const [showSettings, setShowSettings] = useState(false);
+  const [showSwitcher, setShowSwitcher] = useState(false);
+
+  // Most recently opened file paths, newest first (persisted via localStorage)
+  const [recentFiles, setRecentFiles] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('recentFiles') || '[]');
+    } catch { return []; }
+  });
+  const [showBacklinks, setShowBacklinks] = useState(() => localStorage.getItem('showBacklinks') === 'true');
+
+  // Which view the sidebar shows ('files', 'search', 'tags' or 'trash')
+  const [sidebarView, setSidebarView] = useState('files');
+  const [searchFocusKey, setSearchFocusKey] = useState(0);
+
+  // Line to reveal once the requested file is open ({ path, line })
+  const [jumpTarget, setJumpTarget] = useState(null);
 
   // Keep HTML root data attribute in sync with state for global CSS variables
   useEffect(() => {
@@ -66,10 +150,21 @@ export default function App() {
     localStorage.setItem('editorPadding', editorPadding);
   }, [editorPadding]);
 
+  useEffect(() => {
+    localStorage.setItem('showBacklinks', showBacklinks);
+  }, [showBacklinks]);
+
+  useEffect(() => {
+    localStorage.setItem('printPageSize', printPageSize);
+    localStorage.setItem('printMargin', printMargin);
+  }, [printPageSize, printMargin]);
+
   const handleResetDefaults = useCallback((defaults) => {
     setEditorFontSize(defaults.editorFontSize);
     setTreeFontSize(defaults.treeFontSize);
     setEditorPadding(defaults.editorPadding);
+    setPrintPageSize(defaults.printPageSize);
+    setPrintMargin(defaults.printMargin);
   }, []);
 
   // Expanded folder paths (persisted via localStorage)
@@ -90,23 +185,116 @@ export default function App() {
     });
   }, []);
 
-  // Refs for debounced auto-save (avoid stale closures)
-  const fileContentRef = useRef(fileContent);
-  const activeFileRef = useRef(activeFile);
-  useEffect(() => { fileContentRef.current = fileContent; }, [fileContent]);
-  useEffect(() => { activeFileRef.current = activeFile; }, [activeFile]);
+  // Tabs, panes and the active pane are mirrored in refs that are updated together with the state,
+  // so async handlers (auto-save, disk checks) always see the current layout
+  const tabsRef = useRef(tabs);
+  const panesRef = useRef(panes);
+  const activePaneIdRef = useRef(activePaneId);
+  // Counter for new tab and pane ids
+  const nextIdRef = useRef(2);
+  // Pending auto-save timer of each tab: tabId -> timeout id
+  const saveTimersRef = useRef(new Map());
 
-  // Persist the active file path to localStorage
+  const updateTabs = useCallback((updater) => {
+    tabsRef.current = updater(tabsRef.current);
+    setTabs(tabsRef.current);
+  }, []);
+
+  const updatePanes = useCallback((updater) => {
+    panesRef.current = updater(panesRef.current);
+    setPanes(panesRef.current);
+  }, []);
+
+  const patchTab = useCallback((id, patch) => {
+    updateTabs(prev => prev.map(t => t.id === id ? { ...t, ...patch } : t));
+  }, [updateTabs]);
+
+  // Patch every tab showing `path`, since the same note can be open in several panes
+  const patchPathTabs = useCallback((path, patch) => {
+    updateTabs(prev => prev.map(t => t.file.path === path ? { ...t, ...patch } : t));
+  }, [updateTabs]);
+
+  const focusPane = useCallback((id) => {
+    activePaneIdRef.current = id;
+    setActivePaneId(id);
+  }, []);
+
+  // Show tab `id` in its pane and focus that pane
+  const activateTab = useCallback((id) => {
+    const tab = tabsRef.current.find(t => t.id === id);
+    if (!tab) return;
+    updatePanes(prev => prev.map(p => p.id === tab.paneId ? { ...p, activeTabId: id } : p));
+    focusPane(tab.paneId);
+  }, [updatePanes, focusPane]);
+
+  const getActiveTab = useCallback(() => {
+    const pane = panesRef.current.find(p => p.id === activePaneIdRef.current);
+    return tabsRef.current.find(t => t.id === pane?.activeTabId) || null;
+  }, []);
+
+  const showConflict = useCallback((next) => {
+    conflictRef.current = next;
+    setConflict(next);
+  }, []);
+
+  // Persist the open panes and tabs (and the active file path) to localStorage
+  // Set when restoring starts; the layout is only persisted once it has finished
+  const hasRestoredFile = useRef(false);
+  const tabsRestoredRef = useRef(false);
   useEffect(() => {
+    if (!tabsRestoredRef.current) return;
+    const layout = {
+      direction: splitDirection,
+      activePane: panes.findIndex(p => p.id === activePaneId),
+      panes: panes.map(p => ({
+        size: p.size,
+        active: tabs.find(t => t.id === p.activeTabId)?.file.path ?? null,
+        tabs: tabs
+          .filter(t => t.paneId === p.id && !t.file.isHelp)
+          .map(t => ({ path: t.file.path, mode: t.mode, pinned: t.pinned })),
+      })),
+    };
+    localStorage.setItem('openTabs', JSON.stringify(layout));
     if (activeFile?.path) {
       localStorage.setItem('lastFilePath', activeFile.path);
     }
-  }, [activeFile]);
+  }, [tabs, panes, activePaneId, splitDirection, activeFile]);
 
   // Sidebar resizing
   const [sidebarWidth, setSidebarWidth] = useState(260);
   const isResizing = useRef(false);
-  const hasRestoredFile = useRef(false);
+
+  /**
+   * Open `node` in a pane (the active one by default), right after that pane's active tab,
+   * or switch to its tab if the pane already has one. Returns the tab id.
+   */
+  const openTab = useCallback(async (node, { paneId = activePaneIdRef.current, activate = true, mode = 'read', pinned = false } = {}) => {
+    const existing = tabsRef.current.find(t => t.paneId === paneId && t.file.path === node.path);
+    if (existing) {
+      if (activate) activateTab(existing.id);
+      return existing.id;
+    }
+
+    // A note already open in another pane shares that tab's content so edits stay in sync
+    const twin = tabsRef.current.find(t => t.file.path === node.path);
+    let content = twin?.content ?? HELP_DOC_CONTENT;
+    if (!twin && !node.isHelp) {
+      content = await readFile(node.path);
+      const stat = await statFile(node.path);
+      diskSnapshotsRef.current.set(node.path, { content, ...stat });
+    }
+
+    const tab = { id: `tab-${nextIdRef.current++}`, paneId, file: twin?.file ?? node, content, mode, pinned };
+    updateTabs(prev => {
+      const pane = panesRef.current.find(p => p.id === paneId);
+      const index = prev.findIndex(t => t.id === pane?.activeTabId);
+      const next = [...prev];
+      next.splice(index === -1 ? next.length : index + 1, 0, tab);
+      return sortPinnedFirst(next);
+    });
+    if (activate) activateTab(tab.id);
+    return tab.id;
+  }, [readFile, statFile, updateTabs, activateTab]);
 
   const handleFileClick = useCallback(async (node) => {
     try {
@@ -115,131 +303,614 @@ export default function App() {
         lowerName.endsWith('.jpg') ||
         lowerName.endsWith('.jpeg') ||
         lowerName.endsWith('.png')) {
-        const file = await node.handle.getFile();
+        const file = await readBlob(node.path);
         const url = URL.createObjectURL(file);
         window.open(url, '_blank');
         return;
       }
 
-      const content = await readFile(node.handle);
-      setActiveFile(node);
-      setFileContent(content);
+      await openTab(node);
       setSaveStatus('');
-      setEditorMode('read');
+      setRecentFiles(prev => {
+        const next = [node.path, ...prev.filter(p => p !== node.path)].slice(0, 50);
+        localStorage.setItem('recentFiles', JSON.stringify(next));
+        return next;
+      });
     } catch (err) {
       console.error('Failed to read file:', err);
     }
-  }, [readFile]);
+  }, [openTab, readBlob]);
+
+  // Set the edit/read mode of the active tab (the Help Guide always stays read-only)
+  const setActiveTabMode = useCallback((mode) => {
+    const tab = getActiveTab();
+    if (!tab || tab.file.isHelp) return;
+    patchTab(tab.id, { mode: typeof mode === 'function' ? mode(tab.mode) : mode });
+  }, [getActiveTab, patchTab]);
 
-  // Auto-restore the last opened file when the file tree loads
+  /**
+   * Remove a pane that no longer has tabs; its space goes to the pane before it (or after, for the first).
+   * The last remaining pane is kept.
+   */
+  const closePane = useCallback((id) => {
+    const list = panesRef.current;
+    const index = list.findIndex(p => p.id === id);
+    if (list.length === 1 || index === -1) return;
+    const neighbour = list[index > 0 ? index - 1 : 1];
+    updatePanes(prev => prev
+      .filter(p => p.id !== id)
+      .map(p => p.id === neighbour.id ? { ...p, size: p.size + list[index].size } : p));
+    if (activePaneIdRef.current === id) focusPane(neighbour.id);
+  }, [updatePanes, focusPane]);
+
+  // Reopen the panes and tabs from the last session once the vault is open (falling back to the
+  // last opened file). Looked up by path directly so it doesn't wait for the folders to load.
   useEffect(() => {
-    if (hasRestoredFile.current || !fileTree || fileTree.length === 0) return;
+    if (hasRestoredFile.current || !storage) return;
+
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem('openTabs') || 'null');
+    } catch { /* ignore malformed state */ }
     const lastPath = localStorage.getItem('lastFilePath');
-    if (!lastPath) return;
-
-    // Walk the tree to find the node matching lastPath
-    const findNode = (nodes) => {
-      for (const node of nodes) {
-        if (node.kind === 'file' && node.path === lastPath) return node;
-        if (node.children) {
-          const found = findNode(node.children);
-          if (found) return found;
+    const layout = stored?.panes ? stored : {
+      direction: 'vertical',
+      activePane: 0,
+      panes: [{
+        size: 1,
+        active: stored ? stored.active : lastPath,
+        tabs: stored?.tabs ?? (lastPath ? [{ path: lastPath }] : []),
+      }],
+    };
+    hasRestoredFile.current = true;
+
+    (async () => {
+      // Recreate the panes first, then fill them with their tabs
+      const restored = layout.panes.map((p, i) => ({
+        id: i === 0 ? panesRef.current[0].id : `pane-${nextIdRef.current++}`,
+        activeTabId: null,
+        size: p.size || 1,
+      }));
+      updatePanes(() => restored);
+      setSplitDirection(layout.direction === 'horizontal' ? 'horizontal' : 'vertical');
+
+      for (const [i, paneLayout] of layout.panes.entries()) {
+        for (const entry of paneLayout.tabs) {
+          try {
+            if ((await kindOf(entry.path)) !== 'file') continue;
+            const node = { name: basename(entry.path), kind: 'file', path: entry.path };
+            await openTab(node, { paneId: restored[i].id, activate: entry.path === paneLayout.active, mode: entry.mode, pinned: entry.pinned });
+          } catch (err) {
+            console.error('Failed to restore tab:', entry.path, err);
+          }
         }
       }
-      return null;
-    };
 
-    const node = findNode(fileTree);
-    if (node) {
-      hasRestoredFile.current = true;
-      handleFileClick(node);
-    }
-  }, [fileTree, handleFileClick]);
+      // Drop panes whose notes are gone, and show the first tab where the active one is missing
+      for (const pane of restored) {
+        const first = tabsRef.current.find(t => t.paneId === pane.id);
+        if (!first) closePane(pane.id);
+        else if (!panesRef.current.find(p => p.id === pane.id).activeTabId) {
+          updatePanes(prev => prev.map(p => p.id === pane.id ? { ...p, activeTabId: first.id } : p));
+        }
+      }
+      const focused = restored[layout.activePane];
+      focusPane(panesRef.current.some(p => p.id === focused?.id) ? focused.id : panesRef.current[0].id);
+      tabsRestoredRef.current = true;
+    })();
+  }, [storage, kindOf, openTab, updatePanes, closePane, focusPane]);
 
   const handleHelpClick = useCallback(() => {
-    setActiveFile({ name: 'Help Guide', isHelp: true, path: 'help-guide' });
-    setFileContent(HELP_DOC_CONTENT);
-    setEditorMode('read');
+    openTab({ name: 'Help Guide', isHelp: true, path: 'help-guide' });
     setSaveStatus('');
-  }, []);
+  }, [openTab]);
+
+  /**
+   * Close a tab without saving it. The neighbouring tab in its pane (right, else left) takes its
+   * place; a split pane closes along with its last tab.
+   */
+  const removeTab = useCallback((id) => {
+    const list = tabsRef.current;
+    const tab = list.find(t => t.id === id);
+    if (!tab) return;
+    clearTimeout(saveTimersRef.current.get(id));
+    saveTimersRef.current.delete(id);
+    const remaining = list.filter(t => t.id !== id);
+    if (!remaining.some(t => t.file.path === tab.file.path)) diskSnapshotsRef.current.delete(tab.file.path);
+    if (conflictRef.current?.tabId === id) showConflict(null);
+    updateTabs(() => remaining);
+
+    const siblings = list.filter(t => t.paneId === tab.paneId);
+    if (siblings.length === 1) {
+      closePane(tab.paneId);
+    }
+    const index = siblings.indexOf(tab);
+    const neighbour = siblings[index + 1] || siblings[index - 1];
+    updatePanes(prev => prev.map(p => p.id === tab.paneId && p.activeTabId === id
+      ? { ...p, activeTabId: neighbour ? neighbour.id : null }
+      : p));
+  }, [updateTabs, updatePanes, closePane, showConflict]);
+
+  /**
+   * Compare a tab's note with its copy on disk.
+   * Returns 'ok' when the disk still matches what we last read or wrote, 'reloaded' when
+   * the buffer was clean and has been replaced with the new disk content, and 'conflict'
+   * when both sides changed (or the file was deleted) and the user has to decide.
+   */
+  const checkTabOnDisk = useCallback(async (id) => {
+    const tab = tabsRef.current.find(t => t.id === id);
+    const snapshot = tab && diskSnapshotsRef.current.get(tab.file.path);
+    if (!tab || tab.file.isHelp || !snapshot) return 'ok';
+    const file = tab.file;
+
+    let disk = null;
+    let stat = null;
+    try {
+      // Backends that can't report modification times are checked by content alone
+      stat = await statFile(file.path);
+      if (stat && stat.lastModified === snapshot.lastModified && stat.size === snapshot.size) return 'ok';
+      disk = await readFile(file.path);
+    } catch {
+      // The file no longer exists on disk
+    }
+    const latest = tabsRef.current.find(t => t.id === id);
+    if (!latest || latest.file !== file) return 'ok';
+
+    const mine = latest.content;
+    if (disk !== null && (disk === snapshot.content || disk === mine)) {
+      // Touched but not changed, or changed to exactly what we have
+      diskSnapshotsRef.current.set(file.path, { content: disk, ...stat });
+      return 'ok';
+    }
+    if (disk !== null && mine === snapshot.content) {
+      // No unsaved edits — take the disk version silently
+      diskSnapshotsRef.current.set(file.path, { content: disk, ...stat });
+      patchPathTabs(file.path, { content: disk });
+      if (getActiveTab()?.file.path === file.path) {
+        setSaveStatus('Reloaded from disk');
+        setTimeout(() => setSaveStatus(''), 2000);
+      }
+      return 'reloaded';
+    }
+    if (disk === null && mine === snapshot.content) {
+      // Deleted elsewhere with nothing unsaved to lose — close it
+      removeTab(id);
+      return 'reloaded';
+    }
+    // Only one conflict is shown at a time; this tab is checked again once it is resolved
+    if (!conflictRef.current) {
+      showConflict({ tabId: id, path: file.path, base: snapshot.content, mine, disk });
+      activateTab(id);
+    }
+    return 'conflict';
+  }, [readFile, statFile, patchPathTabs, getActiveTab, removeTab, showConflict, activateTab]);
+
+  /**
+   * Write a tab's content (or `content`, when given) to its note and record it as the new disk snapshot.
+   * Used by manual save, auto-save and closing a tab, and by conflict resolution (`force`).
+   * Without `force`, refuses to overwrite a copy that changed on disk since it was read.
+   * Returns 'saved', 'unchanged', or 'blocked' when a conflict stands in the way.
+   */
+  const saveTab = useCallback(async (id, { force = false, content } = {}) => {
+    const tab = tabsRef.current.find(t => t.id === id);
+    if (!tab || tab.file.isHelp) return 'unchanged';
+    const text = content ?? tab.content;
+    if (!force) {
+      if (conflictRef.current) return 'blocked';
+      const status = await checkTabOnDisk(id);
+      if (status === 'conflict') return 'blocked';
+      if (status === 'reloaded') return 'unchanged';
+      // Nothing to write
+      if (diskSnapshotsRef.current.get(tab.file.path)?.content === text) return 'unchanged';
+    }
+    // The tab may have been renamed or moved while we were checking the disk
+    const file = (tabsRef.current.find(t => t.id === id) ?? tab).file;
+    await writeFile(file.path, text);
+    const stat = await statFile(file.path);
+    diskSnapshotsRef.current.set(file.path, { content: text, ...stat });
+    return 'saved';
+  }, [checkTabOnDisk, writeFile, statFile]);
+
+  // Auto-save a tab 1 second after its last change; every tab has its own timer
+  const scheduleSave = useCallback((id) => {
+    clearTimeout(saveTimersRef.current.get(id));
+    saveTimersRef.current.set(id, setTimeout(async () => {
+      saveTimersRef.current.delete(id);
+      try {
+        if ((await saveTab(id)) === 'saved' && getActiveTab()?.id === id) {
+          setSaveStatus('Saved');
+          setTimeout(() => setSaveStatus(''), 2000);
+        }
+      } catch (err) {
+        console.error('Auto-save failed:', err);
+      }
+    }, 1000));
+  }, [saveTab, getActiveTab]);
+
+  // Queue a save for every tab with unsaved edits (used after a conflict paused auto-save)
+  const scheduleDirtyTabs = useCallback(() => {
+    for (const tab of tabsRef.current) {
+      const snapshot = diskSnapshotsRef.current.get(tab.file.path);
+      if (snapshot && snapshot.content !== tab.content) scheduleSave(tab.id);
+    }
+  }, [scheduleSave]);
+
+  // An edit in a pane's tab; other panes showing the same note pick it up right away
+  const handleContentChange = useCallback((id, content) => {
+    const tab = tabsRef.current.find(t => t.id === id);
+    if (!tab || tab.content === content) return;
+    patchPathTabs(tab.file.path, { content });
+    if (!tab.file.isHelp) scheduleSave(tab.id);
+  }, [patchPathTabs, scheduleSave]);
 
   const handleSave = useCallback(async () => {
-    if (!activeFile || activeFile.isHelp) return;
+    const tab = getActiveTab();
+    if (!tab) return;
+    try {
+      if ((await saveTab(tab.id)) === 'saved') {
+        setSaveStatus('Saved');
+        setTimeout(() => setSaveStatus(''), 2000);
+      }
+    } catch (err) {
+      console.error('Failed to save:', err);
+      setSaveStatus('Error saving');
+    }
+  }, [getActiveTab, saveTab]);
+
+  // Resolve an image referenced from a note to a Blob (or null) for export and printing
+  const readNoteImage = useCallback(async (file, src) => {
+    // ![[embeds]] live in an .Assets folder; markdown images are relative to the note
+    const asset = src.includes('/') ? null : await readAsset(src, dirname(file.path));
+    if (asset) return asset;
+    const path = resolveRelativeHref(src, file.path);
+    if (!path) return null;
+    try {
+      return await readBlob(path);
+    } catch {
+      return null;
+    }
+  }, [readAsset, readBlob]);
+
+  /**
+   * Export the active note as a standalone HTML file, saved next to the note or downloaded.
+   * The help page isn't part of the vault, so it is always downloaded.
+   */
+  const handleExportHtml = useCallback(async (download) => {
+    const tab = getActiveTab();
+    if (!tab) return;
+    const { file, content } = tab;
+    const folder = dirname(file.path);
+    const title = file.name.replace(/\.md$/i, '');
+    try {
+      const html = await exportNoteHtml(content, {
+        title,
+        theme,
+        readImage: (src) => readNoteImage(file, src),
+      });
+
+      if (download || file.isHelp) {
+        downloadBlob(new Blob([html], { type: 'text/html' }), `${title}.html`);
+        return;
+      }
+      let name = `${title}.html`;
+      // A file by that name may not be an earlier export: replace it only when asked to
+      const existing = await kindOf(folder ? `${folder}/${name}` : name);
+      if (existing === 'directory' || (existing && !confirm(`"${name}" already exists. Replace it?`))) {
+        name = await uniqueEntryName(storage, folder, name);
+      }
+      const path = folder ? `${folder}/${name}` : name;
+      // Creating the file first adds it to the tree
+      if (!(await kindOf(path))) await createFile(folder, name);
+      await writeFile(path, html);
+      setSaveStatus(`Exported ${name}`);
+      setTimeout(() => setSaveStatus(''), 2000);
+    } catch (err) {
+      console.error('Failed to export note:', err);
+      setSaveStatus('Export failed');
+    }
+  }, [getActiveTab, theme, readNoteImage, storage, kindOf, createFile, writeFile]);
+
+  // Print the whole active note (or save it as PDF) from a print-only rendering
+  const handlePrint = useCallback(async () => {
+    const tab = getActiveTab();
+    if (!tab) return;
+    const { file, content } = tab;
+    try {
+      await printNote(content, {
+        title: file.name.replace(/\.md$/i, ''),
+        readImage: (src) => readNoteImage(file, src),
+        pageSize: printPageSize,
+        marginMm: printMargin,
+      });
+    } catch (err) {
+      console.error('Failed to print note:', err);
+      setSaveStatus('Print failed');
+    }
+  }, [getActiveTab, readNoteImage, printPageSize, printMargin]);
+
+  // Save a tab's pending edits, then close it. Stays open if the save hit a conflict or failed.
+  const handleCloseTab = useCallback(async (id) => {
+    try {
+      if ((await saveTab(id)) === 'blocked') return;
+    } catch (err) {
+      console.error('Failed to save before closing:', err);
+      setSaveStatus('Error saving');
+      return;
+    }
+    removeTab(id);
+  }, [saveTab, removeTab]);
+
+  // Close every tab in the pane of tab `id` except that one and the pinned ones
+  const handleCloseOtherTabs = useCallback(async (id) => {
+    const paneId = tabsRef.current.find(t => t.id === id)?.paneId;
+    for (const tab of [...tabsRef.current]) {
+      if (tab.paneId === paneId && tab.id !== id && !tab.pinned) await handleCloseTab(tab.id);
+    }
+  }, [handleCloseTab]);
+
+  const handleTogglePin = useCallback((id) => {
+    updateTabs(prev => sortPinnedFirst(prev.map(t => t.id === id ? { ...t, pinned: !t.pinned } : t)));
+  }, [updateTabs]);
+
+  // Move tab `id` to the position of tab `targetId` in the same pane (pinned tabs always stay in front)
+  const handleReorderTab = useCallback((id, targetId) => {
+    updateTabs(prev => {
+      const from = prev.findIndex(t => t.id === id);
+      const to = prev.findIndex(t => t.id === targetId);
+      if (from === -1 || to === -1 || from === to || prev[from].paneId !== prev[to].paneId) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return sortPinnedFirst(next);
+    });
+  }, [updateTabs]);
+
+  // Re-check open notes whenever another app touches them
+  useEffect(() => {
+    return subscribeExternalChanges(({ changed, removed }) => {
+      for (const tab of tabsRef.current) {
+        const path = tab.file.path;
+        if (changed.includes(path) || removed.includes(path)) checkTabOnDisk(tab.id);
+      }
+    }, () => tabsRef.current.filter(t => !t.file.isHelp).map(t => t.file.path));
+  }, [subscribeExternalChanges, checkTabOnDisk]);
+
+  const handleConflictReload = useCallback(() => {
+    const current = conflictRef.current;
+    if (!current || current.disk === null) return;
+    patchPathTabs(current.path, { content: current.disk });
+    showConflict(null);
+    // Re-read the stats so the snapshot matches the disk exactly
+    const file = tabsRef.current.find(t => t.id === current.tabId)?.file;
+    if (file) {
+      statFile(file.path).then(stat => {
+        diskSnapshotsRef.current.set(file.path, { content: current.disk, ...stat });
+      });
+    }
+    scheduleDirtyTabs();
+  }, [statFile, patchPathTabs, showConflict, scheduleDirtyTabs]);
+
+  const handleConflictKeep = useCallback(async (content) => {
+    const current = conflictRef.current;
+    const file = tabsRef.current.find(t => t.id === current?.tabId)?.file;
+    if (!current || !file) return;
     try {
-      await writeFile(activeFile.handle, fileContent);
+      // Writing also recreates a file that was deleted on disk
+      await saveTab(current.tabId, { force: true, content });
+      patchPathTabs(file.path, { content });
+      showConflict(null);
       setSaveStatus('Saved');
       setTimeout(() => setSaveStatus(''), 2000);
+      scheduleDirtyTabs();
     } catch (err) {
       console.error('Failed to save:', err);
       setSaveStatus('Error saving');
     }
-  }, [activeFile, fileContent, writeFile]);
+  }, [saveTab, patchPathTabs, showConflict, scheduleDirtyTabs]);
 
-  const handleCreateFile = useCallback(async (parentHandle, name) => {
+  const handleConflictClose = useCallback(() => {
+    const current = conflictRef.current;
+    if (!current) return;
+    removeTab(current.tabId);
+    showConflict(null);
+    setSaveStatus('');
+    scheduleDirtyTabs();
+  }, [removeTab, showConflict, scheduleDirtyTabs]);
+
+  const handleCreateFile = useCallback(async (parentPath, name) => {
     try {
-      const newFileHandle = await createFile(parentHandle, name);
+      const path = await createFile(parentPath, name);
       // Auto-open the newly created file and switch to edit mode
-      if (newFileHandle) {
-        const newNode = {
-          name: name,
-          handle: newFileHandle,
-          parentHandle: parentHandle,
-          kind: 'file',
-          path: parentHandle ? `${parentHandle.name}/${name}` : name
-        };
-        await handleFileClick(newNode);
-        setEditorMode('edit');
-      }
+      await handleFileClick({ name, kind: 'file', path });
+      setActiveTabMode('edit');
     } catch (err) {
       console.error('Failed to create file:', err);
     }
-  }, [createFile, handleFileClick]);
+  }, [createFile, handleFileClick, setActiveTabMode]);
 
-  const handleCreateFolder = useCallback(async (parentHandle, name) => {
+  // Create a note at a vault-relative path (creating intermediate folders) and open it for editing.
+  // A note already at that path is opened instead: callers judge by the file list, which may be incomplete.
+  const handleCreateNoteAtPath = useCallback(async (notePath) => {
+    const location = noteLocation(notePath);
+    if (!storage || !location) return;
+    const { folder, fileName } = location;
     try {
-      await createFolder(parentHandle, name);
+      if ((await kindOf(location.path)) === 'file') {
+        await handleFileClick({ name: fileName, kind: 'file', path: location.path });
+        return;
+      }
+      if (folder) await createFolder('', folder);
+      const path = await createFile(folder, fileName);
+      await handleFileClick({ name: fileName, kind: 'file', path });
+      setActiveTabMode('edit');
+    } catch (err) {
+      console.error('Failed to create note:', err);
+    }
+  }, [storage, kindOf, createFile, createFolder, handleFileClick, setActiveTabMode]);
+
+  // Open the note a [[wikilink]] points to, offering to create it when it doesn't exist yet
+  const handleOpenLink = useCallback(async (target) => {
+    const node = resolveWikilink(target, vaultFiles, getActiveTab()?.file.path);
+    if (node) {
+      await handleFileClick(node);
+      return;
+    }
+    if (!storage) return;
+    // The file list may still be filling in after a refresh, so ask the vault itself
+    const location = noteLocation(target);
+    if (location && (await kindOf(location.path)) === 'file') {
+      await handleFileClick({ name: location.fileName, kind: 'file', path: location.path });
+      return;
+    }
+    if (confirm(`"${target}" does not exist yet. Create it?`)) {
+      await handleCreateNoteAtPath(target);
+    }
+  }, [vaultFiles, storage, getActiveTab, kindOf, handleFileClick, handleCreateNoteAtPath]);
+
+  // Open a note and reveal a specific line (backlinks and search results)
+  const handleOpenAtLine = useCallback(async (path, line) => {
+    const node = vaultFiles.find(f => f.path === path);
+    if (!node) return;
+    if (getActiveTab()?.file.path !== path) await handleFileClick(node);
+    setJumpTarget({ path, line });
+  }, [vaultFiles, getActiveTab, handleFileClick]);
+
+  const handleJumpHandled = useCallback(() => setJumpTarget(null), []);
+
+  const handleOpenPath = useCallback(async (path) => {
+    const node = vaultFiles.find(f => f.path === path);
+    if (node) await handleFileClick(node);
+  }, [vaultFiles, handleFileClick]);
+
+  const handleCreateFolder = useCallback(async (parentPath, name) => {
+    try {
+      await createFolder(parentPath, name);
     } catch (err) {
       console.error('Failed to create folder:', err);
     }
   }, [createFolder]);
 
   const handleTrash = useCallback(async (node) => {
-    if (confirm(`Move "${node.name}" to Trash?`)) {
+    const what = node.kind === 'directory' ? `the folder "${node.name}" and everything in it` : `"${node.name}"`;
+    if (confirm(`Move ${what} to Trash?`)) {
       const moved = await moveToTrash(node);
-      if (moved && activeFileRef.current?.path === node.path) {
-        // If we deleted the file we are currently looking at, clear the editor
-        setActiveFile(null);
-        setFileContent('');
-        setSaveStatus('');
+      if (!moved) return;
+      // Close the tabs of the trashed note (or of every note in the trashed folder)
+      for (const tab of [...tabsRef.current]) {
+        if (tab.file.path === node.path || tab.file.path.startsWith(node.path + '/')) removeTab(tab.id);
       }
     }
-  }, [moveToTrash]);
+  }, [moveToTrash, removeTab]);
 
-  const handleRenameFile = useCallback(async (node, newName) => {
-    const success = await renameFile(node, newName);
-    if (success && activeFileRef.current?.path === node.path) {
-      // Create a duplicate node with the new properties so the editor stays active
-      const originalPathSegments = node.path.split('/');
-      originalPathSegments.pop(); // Remove old name
-      originalPathSegments.push(newName); // Add new name
-      const newPath = originalPathSegments.join('/');
+  /**
+   * Rename or move `node` to `newPath` by calling `perform`, then rewrite every link in the
+   * vault that pointed at the old location. The rewrites are previewed first; the user can
+   * apply them, skip them, or cancel the whole operation.
+   */
+  const relocateWithLinks = useCallback(async (node, newPath, perform, title) => {
+    // Flush the open notes so the plan sees their latest content
+    for (const tab of [...tabsRef.current]) {
+      try {
+        await saveTab(tab.id);
+      } catch (err) {
+        console.error('Failed to save before moving:', err);
+      }
+    }
+
+    const moves = collectMoves(node, newPath, vaultFiles);
+    const plan = planLinkUpdates(vaultIndex.docs, vaultFiles, moves);
+    let choice = 'skip';
+    if (plan.length > 0) {
+      choice = await new Promise(resolve => setLinkUpdate({ title, plan, resolve }));
+      setLinkUpdate(null);
+      if (choice === 'cancel') return false;
+    }
+
+    if (!(await perform())) return false;
 
+    // Keep the open tabs pointing at their new locations
+    for (const tab of [...tabsRef.current]) {
+      if (!moves.has(tab.file.path)) continue;
+      const movedPath = moves.get(tab.file.path);
+      patchTab(tab.id, { file: { ...tab.file, name: basename(movedPath), path: movedPath } });
+      const snapshot = diskSnapshotsRef.current.get(tab.file.path);
+      diskSnapshotsRef.current.delete(tab.file.path);
+      if (snapshot) diskSnapshotsRef.current.set(movedPath, snapshot);
+    }
+
+    if (choice === 'update') {
+      for (const entry of plan) {
+        try {
+          if ((await kindOf(entry.newPath)) !== 'file') continue;
+          await writeFile(entry.newPath, entry.content);
+          if (tabsRef.current.some(t => t.file.path === entry.newPath)) {
+            const stat = await statFile(entry.newPath);
+            diskSnapshotsRef.current.set(entry.newPath, { content: entry.content, ...stat });
+            patchPathTabs(entry.newPath, { content: entry.content });
+          }
+        } catch (err) {
+          console.error('Failed to update links in', entry.newPath, err);
+        }
+      }
+    }
+    return true;
+  }, [vaultFiles, vaultIndex, saveTab, patchTab, patchPathTabs, kindOf, writeFile, statFile]);
+
+  /**
+   * Rename a tag, along with the tags nested under it, in every note that carries it:
+   * inline #tags as well as the tags property of the front matter.
+   */
+  const handleRenameTag = useCallback(async (tag) => {
+    const input = prompt(`Rename #${tag} (and the tags nested under it) to:`, tag);
+    const newTag = input?.trim().replace(/^#/, '');
+    if (!newTag || newTag === tag) return;
+    if (!isValidTag(newTag)) {
+      alert(`"${newTag}" is not a valid tag. Tags start with a letter or underscore and can't contain spaces.`);
+      return;
+    }
+
+    // Flush the open notes so the rename sees their latest content
+    for (const tab of [...tabsRef.current]) {
+      try {
+        await saveTab(tab.id);
+      } catch (err) {
+        console.error('Failed to save before renaming tag:', err);
+      }
+    }
+
+    const paths = vaultIndex.notesWithTag(tag);
+    if (paths.length === 0) return;
+    if (!confirm(`Rename #${tag} to #${newTag} in ${paths.length} ${paths.length === 1 ? 'note' : 'notes'}?`)) return;
+
+    for (const path of paths) {
+      const content = vaultIndex.docs.get(path)?.content;
+      if (content === undefined) continue;
+      const updated = renameTag(content, tag, newTag);
+      if (updated === content) continue;
       try {
-        const fileHandle = await node.parentHandle.getFileHandle(newName);
-        const renamedNode = {
-          ...node,
-          name: newName,
-          path: newPath,
-          handle: fileHandle,
-        };
-        setActiveFile(renamedNode);
-        // Force an immediate localStorage update to avoid race conditions on save
-        localStorage.setItem('lastFilePath', renamedNode.path);
+        await writeFile(path, updated);
+        if (tabsRef.current.some(t => t.file.path === path)) {
+          const stat = await statFile(path);
+          diskSnapshotsRef.current.set(path, { content: updated, ...stat });
+          patchPathTabs(path, { content: updated });
+        }
       } catch (err) {
-        console.error('Could not get handle for renamed active file', err);
+        console.error('Failed to rename tag in', path, err);
       }
     }
-  }, [renameFile]);
+  }, [vaultIndex, saveTab, writeFile, statFile, patchPathTabs]);
+
+  const handleRenameFile = useCallback(async (node, newName) => {
+    const folder = dirname(node.path);
+    const newPath = folder ? `${folder}/${newName}` : newName;
+    return relocateWithLinks(node, newPath, () => renameFile(node, newName), `Rename "${node.name}" to "${newName}"`);
+  }, [renameFile, relocateWithLinks]);
+
+  const handleMoveFile = useCallback(async (node, folder) => {
+    if (!storage || dirname(node.path) === folder) return false;
+    const newPath = folder ? `${folder}/${node.name}` : node.name;
+    return relocateWithLinks(node, newPath, () => moveFile(node, folder), `Move "${node.name}" to ${folder ? `"${folder}"` : 'the vault root'}`);
+  }, [storage, moveFile, relocateWithLinks]);
 
   // Global keyboard shortcuts
   useEffect(() => {
@@ -251,40 +922,36 @@ export default function App() {
       // Cmd+N — create new note in vault root
       if ((e.metaKey || e.ctrlKey) && e.key === 'n') {
         e.preventDefault();
-        if (rootHandle) {
+        if (storage) {
           const name = prompt('New note name (e.g. "note.md"):');
-          if (name) handleCreateFile(rootHandle, name);
+          if (name) handleCreateFile('', name);
         }
       }
+      // Cmd+O — quick switcher
+      if ((e.metaKey || e.ctrlKey) && e.key === 'o') {
+        e.preventDefault();
+        if (storage) setShowSwitcher(true);
+      }
+      // Cmd+Shift+F — search the whole vault
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setSidebarView('search');
+        setSearchFocusKey(k => k + 1);
+      }
+      // Cmd+P — print the active note instead of the app window
+      if ((e.metaKey || e.ctrlKey) && e.key === 'p') {
+        e.preventDefault();
+        handlePrint();
+      }
       // Cmd+E — toggle read/edit mode
       if ((e.metaKey || e.ctrlKey) && e.key === 'e') {
         e.preventDefault();
-        if (!activeFileRef.current?.isHelp) {
-          setEditorMode(prev => prev === 'edit' ? 'read' : 'edit');
-        }
+        setActiveTabMode(prev => prev === 'edit' ? 'read' : 'edit');
       }
     };
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [handleSave, rootHandle, handleCreateFile, setEditorMode]);
-
-  // Debounced auto-save (1 second after last keystroke)
-  useEffect(() => {
-    if (!activeFile || activeFile.isHelp) return;
-    const timer = setTimeout(async () => {
-      const file = activeFileRef.current;
-      const content = fileContentRef.current;
-      if (!file || file.isHelp) return;
-      try {
-        await writeFile(file.handle, content);
-        setSaveStatus('Saved');
-        setTimeout(() => setSaveStatus(''), 2000);
-      } catch (err) {
-        console.error('Auto-save failed:', err);
-      }
-    }, 1000);
-    return () => clearTimeout(timer);
-  }, [fileContent, activeFile, writeFile]);
+  }, [handleSave, storage, handleCreateFile, setActiveTabMode, handlePrint]);
 
   // Drag-to-resize sidebar
   const startResize = useCallback((e) => {
@@ -310,8 +977,70 @@ export default function App() {
     document.addEventListener('mouseup', onMouseUp);
   }, []);
 
+  /**
+   * Split the editor area: open the note of tab `tabId` (the active tab by default) in a new pane
+   * to the right of its pane ('vertical') or below it ('horizontal'). All panes share one direction.
+   */
+  const handleSplit = useCallback(async (direction, tabId) => {
+    const source = tabsRef.current.find(t => t.id === tabId) ?? getActiveTab();
+    const sourcePaneId = source?.paneId ?? activePaneIdRef.current;
+    const paneId = `pane-${nextIdRef.current++}`;
+    setSplitDirection(direction);
+    updatePanes(prev => {
+      const index = prev.findIndex(p => p.id === sourcePaneId);
+      const half = prev[index].size / 2;
+      const next = [...prev];
+      next.splice(index, 1, { ...prev[index], size: half }, { id: paneId, activeTabId: null, size: half });
+      return next;
+    });
+    focusPane(paneId);
+    if (source) {
+      try {
+        await openTab(source.file, { paneId, mode: source.mode });
+      } catch (err) {
+        console.error('Failed to open split:', err);
+      }
+    }
+  }, [getActiveTab, updatePanes, focusPane, openTab]);
+
+  // Drag the divider after pane `index` to resize it against the next pane
+  const startPaneResize = useCallback((e, index) => {
+    const rect = e.currentTarget.parentElement.getBoundingClientRect();
+    const vertical = splitDirection === 'vertical';
+    const length = vertical ? rect.width : rect.height;
+    const startPos = vertical ? e.clientX : e.clientY;
+    const sizes = panesRef.current.map(p => p.size);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const pair = sizes[index] + sizes[index + 1];
+    // Neither pane may shrink below 120px
+    const minSize = Math.min(pair / 2, total * 120 / length);
+
+    document.body.style.cursor = vertical ? 'col-resize' : 'row-resize';
+    document.body.style.userSelect = 'none';
+
+    const onMouseMove = (e) => {
+      const delta = ((vertical ? e.clientX : e.clientY) - startPos) / length * total;
+      const first = Math.max(minSize, Math.min(pair - minSize, sizes[index] + delta));
+      updatePanes(prev => prev.map((p, i) => {
+        if (i === index) return { ...p, size: first };
+        if (i === index + 1) return { ...p, size: pair - first };
+        return p;
+      }));
+    };
+
+    const onMouseUp = () => {
+      document.body.style.cursor = '';
+      document.body.style.userSelect = '';
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    };
+
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  }, [splitDirection, updatePanes]);
+
   // Welcome screen
-  if (!rootHandle && !isLoading) {
+  if (!storage && !isLoading) {
     return (
       <div className="welcome-screen">
         <div className="welcome-inner">
@@ -357,20 +1086,66 @@ export default function App() {
   return (
     <div className="workspace">
       <div className="workspace-sidebar" style={{ width: sidebarWidth }}>
-        <FileExplorer
-          rootHandle={rootHandle}
-          fileTree={fileTree}
-          activeFilePath={activeFile?.path || null}
-          onFileClick={handleFileClick}
-          onCreateFile={handleCreateFile}
-          onCreateFolder={handleCreateFolder}
-          onChangeVault={pickDirectory}
-          onTrash={handleTrash}
-          expandedPaths={expandedPaths}
-          onToggleExpand={handleToggleExpand}
-          onMoveFile={moveFile}
-          onRenameFile={handleRenameFile}
-        />
+        <div className="sidebar-tabs">
+          <button
+            className={`sidebar-tab${sidebarView === 'files' ? ' is-active' : ''}`}
+            title="Files"
+            onClick={() => setSidebarView('files')}
+          >
+            <FolderIcon size={15} />
+          </button>
+          <button
+            className={`sidebar-tab${sidebarView === 'search' ? ' is-active' : ''}`}
+            title="Search (Cmd+Shift+F)"
+            onClick={() => { setSidebarView('search'); setSearchFocusKey(k => k + 1); }}
+          >
+            <SearchIcon size={15} />
+          </button>
+          <button
+            className={`sidebar-tab${sidebarView === 'tags' ? ' is-active' : ''}`}
+            title="Tags"
+            onClick={() => setSidebarView('tags')}
+          >
+            <TagIcon size={15} />
+          </button>
+          <button
+            className={`sidebar-tab${sidebarView === 'trash' ? ' is-active' : ''}`}
+            title="Trash"
+            onClick={() => setSidebarView('trash')}
+          >
+            <Trash2 size={15} />
+          </button>
+        </div>
+        {/* The views stay mounted so the search query survives switching tabs */}
+        <div className="sidebar-view" hidden={sidebarView !== 'search'}>
+          <SearchPane onOpenResult={handleOpenAtLine} focusKey={searchFocusKey} />
+        </div>
+        <div className="sidebar-view" hidden={sidebarView !== 'tags'}>
+          <TagPane onOpenNote={handleOpenPath} onRenameTag={handleRenameTag} />
+        </div>
+        <div className="sidebar-view" hidden={sidebarView !== 'trash'}>
+          <TrashView />
+        </div>
+        <div className="sidebar-view" hidden={sidebarView !== 'files'}>
+          {/* A vault in browser storage has no folder on disk, so notes move in and out by import and export */}
+          <FileExplorer
+            vaultName={storage.name}
+            fileTree={fileTree}
+            activeFilePath={activeFile?.path || null}
+            onFileClick={handleFileClick}
+            onCreateFile={handleCreateFile}
+            onCreateFolder={handleCreateFolder}
+            onChangeVault={pickDirectory}
+            onImportFolder={storage.backend === 'opfs' ? importFolder : undefined}
+            onExportVault={storage.backend === 'opfs' ? exportVault : undefined}
+            onTrash={handleTrash}
+            expandedPaths={expandedPaths}
+            onToggleExpand={handleToggleExpand}
+            onLoadDirectory={loadDirectory}
+            onMoveFile={handleMoveFile}
+            onRenameFile={handleRenameFile}
+          />
+        </div>
         <div className="theme-toggle-container">
           <button
             className="theme-toggle-btn"
@@ -410,24 +1185,97 @@ export default function App() {
       </div>
       <div className="workspace-resize-handle" onMouseDown={startResize} />
       <div className="workspace-main">
-        <EditorPane
-          activeFile={activeFile}
-          fileContent={fileContent}
-          theme={theme}
-          editorMode={editorMode}
-          saveStatus={saveStatus}
-          onContentChange={setFileContent}
-          onSave={handleSave}
-        />
+        <div className={`workspace-split mod-${splitDirection}`}>
+          {panes.map((pane, index) => {
+            const paneTabs = tabs.filter(t => t.paneId === pane.id);
+            const tab = paneTabs.find(t => t.id === pane.activeTabId) || null;
+            const isActive = pane.id === activePane.id;
+            return (
+              <React.Fragment key={pane.id}>
+                {index > 0 && (
+                  <div className="workspace-split-divider" onMouseDown={(e) => startPaneResize(e, index - 1)} />
+                )}
+                <div
+                  className={`workspace-leaf${isActive && panes.length > 1 ? ' is-active' : ''}`}
+                  style={{ flexGrow: pane.size }}
+                  onMouseDownCapture={() => focusPane(pane.id)}
+                >
+                  <TabBar
+                    tabs={paneTabs}
+                    activeTabId={pane.activeTabId}
+                    onActivate={activateTab}
+                    onClose={handleCloseTab}
+                    onCloseOthers={handleCloseOtherTabs}
+                    onTogglePin={handleTogglePin}
+                    onReorder={handleReorderTab}
+                    onSplit={handleSplit}
+                  />
+                  <EditorPane
+                    tabId={pane.activeTabId}
+                    openTabIds={paneTabs.map(t => t.id)}
+                    activeFile={tab?.file ?? null}
+                    fileContent={tab?.content ?? ''}
+                    theme={theme}
+                    editorMode={tab?.mode ?? 'read'}
+                    saveStatus={isActive ? saveStatus : ''}
+                    onContentChange={(content) => handleContentChange(pane.activeTabId, content)}
+                    onSave={handleSave}
+                    onOpenLink={handleOpenLink}
+                    jumpTarget={isActive ? jumpTarget : null}
+                    onJumpHandled={handleJumpHandled}
+                    isBacklinksOpen={showBacklinks}
+                    onToggleBacklinks={() => setShowBacklinks(v => !v)}
+                    onExportHtml={handleExportHtml}
+                    onPrint={handlePrint}
+                  />
+                </div>
+              </React.Fragment>
+            );
+          })}
+        </div>
       </div>
+      {showBacklinks && (
+        <div className="workspace-right">
+          <BacklinksPanel activeFile={activeFile} onOpenBacklink={handleOpenAtLine} />
+        </div>
+      )}
+      {conflictTab && (
+        <ConflictDialog
+          fileName={conflictTab.file.name}
+          conflict={conflict}
+          onReload={handleConflictReload}
+          onKeep={handleConflictKeep}
+          onCloseFile={handleConflictClose}
+        />
+      )}
+      {linkUpdate && (
+        <LinkUpdateDialog
+          title={linkUpdate.title}
+          plan={linkUpdate.plan}
+          onChoose={linkUpdate.resolve}
+        />
+      )}
+      {showSwitcher && (
+        <QuickSwitcher
+          files={vaultFiles}
+          recentFiles={recentFiles}
+          onOpen={(node) => { setShowSwitcher(false); handleFileClick(node); }}
+          onCreate={(name) => { setShowSwitcher(false); handleCreateNoteAtPath(name); }}
+          onClose={() => setShowSwitcher(false)}
+        />
+      )}
       {showSettings && (
         <SettingsPanel
           editorFontSize={editorFontSize}
           treeFontSize={treeFontSize}
           editorPadding={editorPadding}
+          printPageSize={printPageSize}
+          printMargin={printMargin}
           onEditorFontSizeChange={setEditorFontSize}
           onTreeFontSizeChange={setTreeFontSize}
           onEditorPaddingChange={setEditorPadding}
+          onPrintPageSizeChange={setPrintPageSize}
+          onPrintMarginChange={setPrintMargin}
           onResetDefaults={handleResetDefaults}
           onClose={() => setShowSettings(false)}
         />
@@ -0,0 +1,64 @@
+import React from 'react';
+import { useFileSystem } from '../context/FileSystemContext.jsx';
+import { basename } from '../utils/fileTree.js';
+import { FileText } from './icons.jsx';
+
+/**
+ * Lists every note that links to the active file, grouped by the referring note,
+ * with the line containing each reference as context.
+ */
+export default function BacklinksPanel({ activeFile, onOpenBacklink }) {
+    // Re-renders whenever the context's indexVersion changes; the index caches the lookup itself
+    const { vaultIndex, vaultFiles } = useFileSystem();
+
+    const byNote = new Map();
+    if (activeFile && !activeFile.isHelp) {
+        for (const ref of vaultIndex.getBacklinks(activeFile.path, vaultFiles)) {
+            if (!byNote.has(ref.sourcePath)) byNote.set(ref.sourcePath, []);
+            byNote.get(ref.sourcePath).push(ref);
+        }
+    }
+    const groups = [...byNote.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+
+    const total = groups.reduce((sum, [, refs]) => sum + refs.length, 0);
+
+    return (
+        <div className="backlinks-panel">
+            <div className="nav-header">
+                <span className="nav-header-title">Backlinks</span>
+                {activeFile && !activeFile.isHelp && <span className="backlinks-count">{total}</span>}
+            </div>
+            <div className="backlinks-list">
+                {!activeFile || activeFile.isHelp ? (
+                    <p className="sidebar-empty-hint">Open a note to see what links to it.</p>
+                ) : groups.length === 0 ? (
+                    <p className="sidebar-empty-hint">No notes link to {activeFile.name.replace(/\.md$/i, '')}.</p>
+                ) : (
+                    groups.map(([sourcePath, refs]) => (
+                        <div key={sourcePath} className="backlinks-group">
+                            <div
+                                className="tree-item backlinks-source"
+                                title={sourcePath}
+                                onClick={() => onOpenBacklink(sourcePath, refs[0].line)}
+                            >
+                                <span className="tree-item-icon file-icon">
+                                    <FileText size={14} />
+                                </span>
+                                <span className="tree-item-label">{basename(sourcePath).replace(/\.md$/i, '')}</span>
+                            </div>
+                            {refs.map((ref) => (
+                                <div
+                                    key={ref.line}
+                                    className="backlinks-snippet"
+                                    onClick={() => onOpenBacklink(sourcePath, ref.line)}
+                                >
+                                    {ref.text}
+                                </div>
+                            ))}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { diffLines, mergeThreeWay } from '../utils/merge.js';
+
+/**
+ * Pair up a line diff into side-by-side rows. Runs of deletions and insertions
+ * between two unchanged lines share rows so edited lines sit next to each other.
+ */
+function sideBySideRows(ops) {
+    const rows = [];
+    let left = [];
+    let right = [];
+    const flush = () => {
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            rows.push({ left: left[i] ?? null, right: right[i] ?? null, changed: true });
+        }
+        left = [];
+        right = [];
+    };
+    for (const op of ops) {
+        if (op.type === 'delete') left.push(op.line);
+        else if (op.type === 'insert') right.push(op.line);
+        else {
+            flush();
+            rows.push({ left: op.line, right: op.line, changed: false });
+        }
+    }
+    flush();
+    return rows;
+}
+
+// Versions further apart than this many changed lines aren't merged line by line: diffing them
+// would freeze the app for too long
+const MERGE_MAX_EDITS = 2000;
+
+/**
+ * Shown when the open note changed on disk while it had unsaved edits.
+ * Offers to take the disk version, keep the buffer (overwriting the disk), or merge the
+ * two: the merge view shows both versions side by side above an editable result that
+ * starts out as a three-way merge against the last version both sides agreed on.
+ */
+export default function ConflictDialog({ fileName, conflict, onReload, onKeep, onCloseFile }) {
+    const [merging, setMerging] = useState(false);
+    const [mergeResult, setMergeResult] = useState(null);
+    const [rows, setRows] = useState([]);
+    const [tooDifferent, setTooDifferent] = useState(false);
+    const deleted = conflict.disk === null;
+
+    const startMerge = () => {
+        const ops = diffLines(conflict.mine.split('\n'), conflict.disk.split('\n'), { maxEdits: MERGE_MAX_EDITS });
+        const merged = ops && mergeThreeWay(conflict.base, conflict.mine, conflict.disk, { maxEdits: MERGE_MAX_EDITS });
+        if (!merged) {
+            setTooDifferent(true);
+            return;
+        }
+        setRows(sideBySideRows(ops));
+        setMergeResult(merged);
+        setMerging(true);
+    };
+
+    return (
+        <div className="settings-overlay">
+            <div className={`settings-panel conflict-panel${merging ? ' is-merging' : ''}`}>
+                <div className="settings-header">
+                    <h3 className="settings-title">
+                        {deleted ? `"${fileName}" was deleted` : `"${fileName}" changed on disk`}
+                    </h3>
+                </div>
+
+                {!merging ? (
+                    <div className="settings-body">
+                        <p className="conflict-message">
+                            {deleted
+                                ? 'Another app deleted this note while it had unsaved changes.'
+                                : 'Another app modified this note while it had unsaved changes. Auto-save is paused until you choose which version to keep.'}
+                        </p>
+                        {tooDifferent && (
+                            <p className="conflict-message">
+                                The two versions are too different to merge line by line. Reload the version on disk or keep yours.
+                            </p>
+                        )}
+                        <div className="dialog-actions">
+                            {deleted ? (
+                                <>
+                                    <button className="dialog-btn" onClick={onCloseFile}>Discard my changes</button>
+                                    <button className="dialog-btn mod-cta" onClick={() => onKeep(conflict.mine)}>Recreate with my version</button>
+                                </>
+                            ) : (
+                                <>
+                                    <button className="dialog-btn" onClick={onReload}>Reload from disk</button>
+                                    <button className="dialog-btn" onClick={() => onKeep(conflict.mine)}>Keep my version</button>
+                                    {!tooDifferent && <button className="dialog-btn mod-cta" onClick={startMerge}>Merge…</button>}
+                                </>
+                            )}
+                        </div>
+                    </div>
+                ) : (
+                    <div className="settings-body conflict-merge">
+                        <div className="conflict-diff">
+                            <div className="conflict-diff-header">
+                                <span>Your version</span>
+                                <span>On disk</span>
+                            </div>
+                            <div className="conflict-diff-rows">
+                                {rows.map((row, i) => (
+                                    <div key={i} className="conflict-diff-row">
+                                        <div className={`conflict-diff-cell${row.changed && row.left !== null ? ' is-removed' : ''}`}>
+                                            {row.left ?? ''}
+                                        </div>
+                                        <div className={`conflict-diff-cell${row.changed && row.right !== null ? ' is-added' : ''}`}>
+                                            {row.right ?? ''}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        <label className="settings-label">
+                            Result
+                            {mergeResult.conflicts > 0 && (
+                                <span className="settings-value">
+                                    {mergeResult.conflicts} {mergeResult.conflicts === 1 ? 'conflict' : 'conflicts'} to resolve
+                                </span>
+                            )}
+                        </label>
+                        <textarea
+                            className="conflict-result"
+                            value={mergeResult.text}
+                            spellCheck={false}
+                            onChange={(e) => setMergeResult({ ...mergeResult, text: e.target.value })}
+                        />
+                        <div className="dialog-actions">
+                            <button className="dialog-btn" onClick={() => setMerging(false)}>Back</button>
+                            <button className="dialog-btn mod-cta" onClick={() => onKeep(mergeResult.text)}>Save merged version</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
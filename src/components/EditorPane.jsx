@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { EditorView, keymap } from '@codemirror/view';
 import { EditorState } from '@codemirror/state';
 import { markdown, markdownLanguage } from '@codemirror/lang-markdown';
@@ -7,14 +7,55 @@ import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
 import { searchKeymap } from '@codemirror/search';
 import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete';
 import { obsidianDarkTheme, obsidianHighlightStyle, obsidianLightTheme, obsidianLightHighlightStyle } from '../editor/cmTheme.js';
-import { createLivePreviewPlugin } from '../editor/livePreview.js';
+import { createLivePreviewPlugin, setLinkTargets } from '../editor/livePreview.js';
 import { markdownFormatKeymap } from '../editor/formatKeymap.js';
 import { Compartment } from '@codemirror/state';
 import { useFileSystem } from '../context/FileSystemContext.jsx';
+import { dirname } from '../utils/fileTree.js';
+import { LinkIcon, Download, ListIcon } from './icons.jsx';
+import PropertiesPanel from './PropertiesPanel.jsx';
 import 'katex/dist/katex.min.css';
 
-export default function EditorPane({ activeFile, fileContent, theme, editorMode, saveStatus, onContentChange, onSave }) {
-    const { getAssetUrl, saveAsset } = useFileSystem();
+/**
+ * Read the last scroll position saved for a file path.
+ */
+function storedScrollPosition(path) {
+    try {
+        const stored = localStorage.getItem('fileScrollPositions');
+        const positions = stored ? JSON.parse(stored) : {};
+        return positions[path] ?? 0;
+    } catch (err) {
+        console.error('Failed to restore scroll position:', err);
+        return 0;
+    }
+}
+
+/**
+ * Replace the view's document with `text` as an edit of just the part that differs,
+ * so the selection and scroll stay put and the change can be undone.
+ */
+function replaceDocument(view, text) {
+    const current = view.state.doc.toString();
+    if (current === text) return;
+    let from = 0;
+    while (from < current.length && from < text.length && current[from] === text[from]) from++;
+    let toOld = current.length;
+    let toNew = text.length;
+    while (toOld > from && toNew > from && current[toOld - 1] === text[toNew - 1]) {
+        toOld--;
+        toNew--;
+    }
+    view.dispatch({
+        changes: {
+            from,
+            to: toOld,
+            insert: text.slice(from, toNew),
+        },
+    });
+}
+
+export default function EditorPane({ tabId, openTabIds = [], activeFile, fileContent, theme, editorMode, saveStatus, onContentChange, onSave, onOpenLink, jumpTarget, onJumpHandled, isBacklinksOpen, onToggleBacklinks, onExportHtml, onPrint }) {
+    const { getAssetUrl, saveAsset, vaultFiles } = useFileSystem();
     const editorContainerRef = useRef(null);
     const viewRef = useRef(null);
     const themeCompartmentRef = useRef(new Compartment());
@@ -23,6 +64,31 @@ export default function EditorPane({ activeFile, fileContent, theme, editorMode,
     const onContentChangeRef = useRef(onContentChange);
     const activeFileRef = useRef(activeFile);
     const saveScrollTimeoutRef = useRef(null);
+    // One CodeMirror state per tab: the active tab's lives in the view, the others are stashed here
+    // as { state, scrollTop } so undo history, selection and scroll survive switching tabs
+    const tabStatesRef = useRef(new Map());
+    const currentTabIdRef = useRef(null);
+    const extensionsRef = useRef(null);
+    // Position of the open export menu: { x, y }
+    const [exportMenu, setExportMenu] = useState(null);
+    const [showProperties, setShowProperties] = useState(() => localStorage.getItem('showProperties') === 'true');
+
+    useEffect(() => {
+        localStorage.setItem('showProperties', showProperties);
+    }, [showProperties]);
+
+    // Dismiss the export menu on any click elsewhere or Escape
+    useEffect(() => {
+        if (!exportMenu) return;
+        const dismiss = () => setExportMenu(null);
+        const onKeyDown = (e) => { if (e.key === 'Escape') setExportMenu(null); };
+        document.addEventListener('mousedown', dismiss);
+        document.addEventListener('keydown', onKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', dismiss);
+            document.removeEventListener('keydown', onKeyDown);
+        };
+    }, [exportMenu]);
 
     // Debounced scroll persistence
     const handleScroll = (view) => {
@@ -53,15 +119,33 @@ export default function EditorPane({ activeFile, fileContent, theme, editorMode,
         activeFileRef.current = activeFile;
     }, [activeFile]);
 
-    // Create a bound version of getAssetUrl that includes the active file's parent handle
+    // Create a bound version of getAssetUrl that includes the active file's folder
     const boundGetAssetUrl = useRef((fileName) => getAssetUrl(fileName, null));
     useEffect(() => {
-        boundGetAssetUrl.current = (fileName) => getAssetUrl(fileName, activeFile?.parentHandle || null);
+        boundGetAssetUrl.current = (fileName) => getAssetUrl(fileName, activeFile ? dirname(activeFile.path) : null);
     }, [activeFile, getAssetUrl]);
 
+    // Wikilink navigation, kept in a ref so the live preview always sees the current note.
+    // The files links resolve against are sent to the editor state (see below).
+    const linkHandlersRef = useRef({ sourcePath: () => '', open: () => {} });
+    useEffect(() => {
+        linkHandlersRef.current = {
+            sourcePath: () => activeFile?.path ?? '',
+            open: (target) => onOpenLink?.(target),
+        };
+    }, [activeFile, onOpenLink]);
+    const boundLinkHandlers = useRef({
+        sourcePath: () => linkHandlersRef.current.sourcePath(),
+        open: (target) => linkHandlersRef.current.open(target),
+    });
+
     // Use a callback ref to initialize CodeMirror as soon as the container is mounted in the DOM.
     const setEditorContainer = (node) => {
         editorContainerRef.current = node;
+        // The container unmounts while no tab is open; move the existing view into the new one
+        if (node && viewRef.current && viewRef.current.dom.parentNode !== node) {
+            node.appendChild(viewRef.current.dom);
+        }
         if (node && !viewRef.current) {
             const updateListener = EditorView.updateListener.of((update) => {
                 if (update.docChanged) {
@@ -69,88 +153,91 @@ export default function EditorPane({ activeFile, fileContent, theme, editorMode,
                 }
             });
 
-            const state = EditorState.create({
-                doc: fileContent || '',
-                extensions: [
-                    EditorView.lineWrapping,
-                    history(),
-                    closeBrackets(),
-                    markdown({ base: markdownLanguage, codeLanguages: languages }),
-                    themeCompartmentRef.current.of([
-                        theme === 'light' ? obsidianLightTheme : obsidianDarkTheme,
-                        theme === 'light' ? obsidianLightHighlightStyle : obsidianHighlightStyle
-                    ]),
-                    keymap.of([
-                        ...defaultKeymap,
-                        ...historyKeymap,
-                        ...closeBracketsKeymap,
-                        ...searchKeymap,
-                    ]),
-                    readOnlyCompartmentRef.current.of(EditorView.editable.of(editorMode !== 'read')),
-                    livePreviewCompartmentRef.current.of(createLivePreviewPlugin((fn) => boundGetAssetUrl.current(fn), editorMode)),
-                    markdownFormatKeymap,
-                    updateListener,
-                    EditorView.domEventHandlers({
-                        paste(event, view) {
-                            const items = event.clipboardData?.items;
-                            if (!items) return false;
-
-                            for (const item of items) {
-                                if (item.type.startsWith('image/')) {
-                                    event.preventDefault();
-                                    const blob = item.getAsFile();
-
-                                    // Generate a filename like Obsidian: Pasted image 20231025143000.png
-                                    const now = new Date();
-                                    const timestamp = now.getFullYear().toString() +
-                                        (now.getMonth() + 1).toString().padStart(2, '0') +
-                                        now.getDate().toString().padStart(2, '0') +
-                                        now.getHours().toString().padStart(2, '0') +
-                                        now.getMinutes().toString().padStart(2, '0') +
-                                        now.getSeconds().toString().padStart(2, '0');
-
-                                    // Make sure we carry over the correct extension (e.g. image/png -> .png)
-                                    const extMatch = item.type.match(/image\/(jpeg|png|gif|webp|svg\+xml)/);
-                                    let ext = '.png';
-                                    if (extMatch) {
-                                        ext = `.${extMatch[1] === 'svg+xml' ? 'svg' : extMatch[1]}`;
-                                    }
-                                    const filename = `Pasted image ${timestamp}${ext}`;
-
-                                    // Save the asset to the local .Assets folder (sibling of the active file)
-                                    const parentHandle = activeFileRef.current?.parentHandle || null;
-                                    saveAsset(filename, blob, parentHandle).then(() => {
-                                        // Insert the markdown at cursor
-                                        const insertText = `![[${filename}]]\n`;
-                                        const ranges = view.state.selection.ranges;
-                                        if (ranges.length > 0) {
-                                            const pos = ranges[0].from;
-                                            view.dispatch({
-                                                changes: { from: pos, insert: insertText },
-                                                selection: { anchor: pos + insertText.length }
-                                            });
-                                        }
-                                    }).catch(err => {
-                                        console.error('Failed to save pasted image:', err);
-                                        alert('Failed to save image to .Assets folder.');
-                                    });
+            // Shared by every tab's state; mode and theme are applied per tab through the compartments
+            extensionsRef.current = [
+                EditorView.lineWrapping,
+                history(),
+                closeBrackets(),
+                markdown({ base: markdownLanguage, codeLanguages: languages }),
+                themeCompartmentRef.current.of([
+                    theme === 'light' ? obsidianLightTheme : obsidianDarkTheme,
+                    theme === 'light' ? obsidianLightHighlightStyle : obsidianHighlightStyle
+                ]),
+                keymap.of([
+                    ...defaultKeymap,
+                    ...historyKeymap,
+                    ...closeBracketsKeymap,
+                    ...searchKeymap,
+                ]),
+                readOnlyCompartmentRef.current.of(EditorView.editable.of(editorMode !== 'read')),
+                livePreviewCompartmentRef.current.of(createLivePreviewPlugin((fn) => boundGetAssetUrl.current(fn), editorMode, boundLinkHandlers.current, theme)),
+                markdownFormatKeymap,
+                updateListener,
+                EditorView.domEventHandlers({
+                    paste(event, view) {
+                        const items = event.clipboardData?.items;
+                        if (!items) return false;
 
-                                    return true; // We handled the paste
+                        for (const item of items) {
+                            if (item.type.startsWith('image/')) {
+                                event.preventDefault();
+                                const blob = item.getAsFile();
+
+                                // Generate a filename like Obsidian: Pasted image 20231025143000.png
+                                const now = new Date();
+                                const timestamp = now.getFullYear().toString() +
+                                    (now.getMonth() + 1).toString().padStart(2, '0') +
+                                    now.getDate().toString().padStart(2, '0') +
+                                    now.getHours().toString().padStart(2, '0') +
+                                    now.getMinutes().toString().padStart(2, '0') +
+                                    now.getSeconds().toString().padStart(2, '0');
+
+                                // Make sure we carry over the correct extension (e.g. image/png -> .png)
+                                const extMatch = item.type.match(/image\/(jpeg|png|gif|webp|svg\+xml)/);
+                                let ext = '.png';
+                                if (extMatch) {
+                                    ext = `.${extMatch[1] === 'svg+xml' ? 'svg' : extMatch[1]}`;
                                 }
+                                const filename = `Pasted image ${timestamp}${ext}`;
+
+                                // Save the asset to the local .Assets folder (sibling of the active file)
+                                const folder = activeFileRef.current ? dirname(activeFileRef.current.path) : null;
+                                saveAsset(filename, blob, folder).then(() => {
+                                    // Insert the markdown at cursor
+                                    const insertText = `![[${filename}]]\n`;
+                                    const ranges = view.state.selection.ranges;
+                                    if (ranges.length > 0) {
+                                        const pos = ranges[0].from;
+                                        view.dispatch({
+                                            changes: { from: pos, insert: insertText },
+                                            selection: { anchor: pos + insertText.length }
+                                        });
+                                    }
+                                }).catch(err => {
+                                    console.error('Failed to save pasted image:', err);
+                                    alert('Failed to save image to .Assets folder.');
+                                });
+
+                                return true; // We handled the paste
                             }
-                            return false;
-                        },
-                        scroll(event, view) {
-                            handleScroll(view);
                         }
-                    })
-                ],
-            });
+                        return false;
+                    },
+                    scroll(event, view) {
+                        handleScroll(view);
+                    }
+                })
+            ];
 
             viewRef.current = new EditorView({
-                state,
+                state: EditorState.create({ doc: fileContent || '', extensions: extensionsRef.current }),
                 parent: node,
             });
+            currentTabIdRef.current = tabId;
+
+            const view = viewRef.current;
+            const scrollTop = activeFile ? storedScrollPosition(activeFile.path) : 0;
+            requestAnimationFrame(() => { view.scrollDOM.scrollTop = scrollTop; });
         }
     };
 
@@ -164,65 +251,79 @@ export default function EditorPane({ activeFile, fileContent, theme, editorMode,
         };
     }, []);
 
-    // Swap document content when the active file changes
+    // Show the active tab: stash the outgoing tab's state and bring back (or create) the incoming one.
+    // Content changed from outside the editor (another pane, reload from disk, link updates) is applied
+    // as an edit of just the part that differs, so the selection and scroll here stay put.
     useEffect(() => {
         const view = viewRef.current;
-        if (!view) return;
+        if (!view || !activeFile) return;
 
-        const currentDoc = view.state.doc.toString();
-        if (currentDoc !== fileContent) {
-            view.dispatch({
-                changes: {
-                    from: 0,
-                    to: view.state.doc.length,
-                    insert: fileContent,
-                },
+        if (currentTabIdRef.current !== tabId) {
+            if (currentTabIdRef.current !== null) {
+                tabStatesRef.current.set(currentTabIdRef.current, { state: view.state, scrollTop: view.scrollDOM.scrollTop });
+            }
+            const saved = tabStatesRef.current.get(tabId);
+            tabStatesRef.current.delete(tabId);
+            view.setState(saved ? saved.state : EditorState.create({ doc: fileContent, extensions: extensionsRef.current }));
+            currentTabIdRef.current = tabId;
+
+            const scrollTop = saved ? saved.scrollTop : storedScrollPosition(activeFile.path);
+            requestAnimationFrame(() => {
+                if (viewRef.current === view) view.scrollDOM.scrollTop = scrollTop;
             });
         }
 
-        // Restore scroll position after setting content
-        if (activeFile) {
-            try {
-                const stored = localStorage.getItem('fileScrollPositions');
-                const positions = stored ? JSON.parse(stored) : {};
-                const savedScrollTop = positions[activeFile.path];
+        replaceDocument(view, fileContent);
+    }, [tabId, activeFile, fileContent]);
 
-                requestAnimationFrame(() => {
-                    if (viewRef.current) {
-                        viewRef.current.scrollDOM.scrollTop = savedScrollTop !== undefined ? savedScrollTop : 0;
-                    }
-                });
-            } catch (err) {
-                console.error('Failed to restore scroll position:', err);
-            }
+    // Resolve [[wikilinks]] against the current file list, including in a tab's state brought back
+    // from the stash, without rebuilding the live preview
+    useEffect(() => {
+        viewRef.current?.dispatch({ effects: setLinkTargets.of(vaultFiles) });
+    }, [vaultFiles, tabId]);
+
+    // Forget the stashed state of tabs that were closed
+    useEffect(() => {
+        for (const id of tabStatesRef.current.keys()) {
+            if (!openTabIds.includes(id)) tabStatesRef.current.delete(id);
         }
-    }, [activeFile, fileContent]);
+    }, [openTabIds]);
 
-    // Update CodeMirror theme when app theme changes
+    // Move the cursor to a requested line (e.g. from the backlinks panel) once its file is loaded
     useEffect(() => {
         const view = viewRef.current;
-        if (view) {
+        if (!view || !jumpTarget || jumpTarget.path !== activeFile?.path) return;
+        if (view.state.doc.toString() !== fileContent) return;
+
+        const line = view.state.doc.line(Math.min(jumpTarget.line + 1, view.state.doc.lines));
+        // Runs after the scroll restoration frame queued above, so the jump wins
+        requestAnimationFrame(() => {
+            if (viewRef.current !== view) return;
             view.dispatch({
-                effects: themeCompartmentRef.current.reconfigure([
-                    theme === 'light' ? obsidianLightTheme : obsidianDarkTheme,
-                    theme === 'light' ? obsidianLightHighlightStyle : obsidianHighlightStyle
-                ])
+                selection: { anchor: line.from },
+                effects: EditorView.scrollIntoView(line.from, { y: 'center' }),
             });
-        }
-    }, [theme]);
+        });
+        onJumpHandled?.();
+    }, [jumpTarget, activeFile, fileContent, onJumpHandled]);
 
-    // Update read-only & live-preview rules when mode or active file changes
+    // Apply the theme, read-only and live-preview rules. Also runs on tab switches,
+    // since a stashed tab state carries the configuration it was stashed with.
     useEffect(() => {
         const view = viewRef.current;
         if (view) {
             view.dispatch({
                 effects: [
+                    themeCompartmentRef.current.reconfigure([
+                        theme === 'light' ? obsidianLightTheme : obsidianDarkTheme,
+                        theme === 'light' ? obsidianLightHighlightStyle : obsidianHighlightStyle
+                    ]),
                     readOnlyCompartmentRef.current.reconfigure(EditorView.editable.of(editorMode !== 'read')),
-                    livePreviewCompartmentRef.current.reconfigure(createLivePreviewPlugin((fn) => boundGetAssetUrl.current(fn), editorMode))
+                    livePreviewCompartmentRef.current.reconfigure(createLivePreviewPlugin((fn) => boundGetAssetUrl.current(fn), editorMode, boundLinkHandlers.current, theme))
                 ]
             });
         }
-    }, [editorMode, activeFile]);
+    }, [theme, editorMode, tabId, activeFile]);
 
     if (!activeFile) {
         return (
@@ -244,7 +345,68 @@ export default function EditorPane({ activeFile, fileContent, theme, editorMode,
                     {activeFile.name} {editorMode === 'read' && <span style={{ opacity: 0.6, fontStyle: 'italic', marginLeft: 6 }}>(Read-Only)</span>}
                 </span>
                 {saveStatus && <span className="save-status">{saveStatus}</span>}
+                {!activeFile.isHelp && (
+                    <button
+                        className={`view-header-action${showProperties ? ' is-active' : ''}`}
+                        title={showProperties ? 'Hide properties' : 'Show properties'}
+                        onClick={() => setShowProperties(v => !v)}
+                    >
+                        <ListIcon size={15} />
+                    </button>
+                )}
+                {onToggleBacklinks && (
+                    <button
+                        className={`view-header-action${isBacklinksOpen ? ' is-active' : ''}`}
+                        title={isBacklinksOpen ? 'Hide backlinks' : 'Show backlinks'}
+                        onClick={onToggleBacklinks}
+                    >
+                        <LinkIcon size={15} />
+                    </button>
+                )}
+                {onExportHtml && (
+                    <button
+                        className={`view-header-action${exportMenu ? ' is-active' : ''}`}
+                        title="Export"
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => {
+                            const rect = e.currentTarget.getBoundingClientRect();
+                            setExportMenu(menu => menu ? null : { x: rect.right, y: rect.bottom + 4 });
+                        }}
+                    >
+                        <Download size={15} />
+                    </button>
+                )}
+                {exportMenu && (
+                    <div
+                        className="tab-menu view-header-menu"
+                        style={{ left: exportMenu.x, top: exportMenu.y }}
+                        onMouseDown={(e) => e.stopPropagation()}
+                    >
+                        <button className="tab-menu-item" onClick={() => { setExportMenu(null); onExportHtml(false); }}>
+                            Export to HTML
+                        </button>
+                        <button className="tab-menu-item" onClick={() => { setExportMenu(null); onExportHtml(true); }}>
+                            Download as HTML
+                        </button>
+                        {onPrint && (
+                            <>
+                                <div className="tab-menu-separator" />
+                                <button className="tab-menu-item" onClick={() => { setExportMenu(null); onPrint(); }}>
+                                    Print / Save as PDF
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
             </div>
+            {/* Property edits go through the editor so they join its undo history */}
+            {showProperties && !activeFile.isHelp && (
+                <PropertiesPanel
+                    content={fileContent}
+                    readOnly={editorMode === 'read'}
+                    onChange={(text) => viewRef.current && replaceDocument(viewRef.current, text)}
+                />
+            )}
             <div
                 className="view-content"
                 ref={setEditorContainer}
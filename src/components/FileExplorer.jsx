@@ -1,24 +1,80 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import TreeNode from './TreeNode.jsx';
-import { FilePlus, FolderPlus, FolderOpen } from './icons.jsx';
+import { FilePlus, FolderPlus, FolderOpen, Upload, Download } from './icons.jsx';
+
+// Height of one tree row in px (matches --nav-item-height)
+const ROW_HEIGHT = 28;
+// Rows mounted above and below the viewport so fast scrolling doesn't flash blank
+const OVERSCAN = 10;
+
+/**
+ * Lay out the expanded part of the tree as a flat list of { node, depth } rows.
+ * Expanded folders whose contents haven't been read yet are collected in `unloaded`.
+ */
+function visibleRows(nodes, expandedPaths, depth = 0, rows = [], unloaded = []) {
+    for (const node of nodes) {
+        rows.push({ node, depth });
+        if (node.kind !== 'directory' || !expandedPaths.has(node.path)) continue;
+        if (node.children) visibleRows(node.children, expandedPaths, depth + 1, rows, unloaded);
+        else unloaded.push(node.path);
+    }
+    return { rows, unloaded };
+}
 
 export default function FileExplorer({
-    rootHandle,
+    vaultName,
     fileTree,
     activeFilePath,
     onFileClick,
     onCreateFile,
     onCreateFolder,
     onChangeVault,
+    onImportFolder,
+    onExportVault,
     onTrash,
     expandedPaths,
     onToggleExpand,
+    onLoadDirectory,
     onMoveFile,
     onRenameFile
 }) {
     const [creatingInRoot, setCreatingInRoot] = useState(null); // 'file' | 'folder' | null
     const [rootDragOver, setRootDragOver] = useState(false);
     const inputRef = useRef(null);
+    const importInputRef = useRef(null);
+    const containerRef = useRef(null);
+    const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+    const { rows, unloaded } = useMemo(() => visibleRows(fileTree, expandedPaths), [fileTree, expandedPaths]);
+
+    // Read expanded folders on demand (including ones restored from a previous session)
+    useEffect(() => {
+        for (const path of unloaded) onLoadDirectory(path);
+    }, [unloaded, onLoadDirectory]);
+
+    // Track the visible height so only the rows on screen are mounted
+    useEffect(() => {
+        const el = containerRef.current;
+        if (!el) return;
+        const observer = new ResizeObserver(() => {
+            setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+        });
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, []);
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + viewport.height) / ROW_HEIGHT) + OVERSCAN);
+
+    const handleCreateFileIn = (folderPath) => {
+        const name = prompt('Enter file name (e.g. "note.md"):');
+        if (name) onCreateFile(folderPath, name);
+    };
+
+    const handleCreateFolderIn = (folderPath) => {
+        const name = prompt('Enter folder name:');
+        if (name) onCreateFolder(folderPath, name);
+    };
 
     useEffect(() => {
         if (creatingInRoot && inputRef.current) {
@@ -34,9 +90,9 @@ export default function FileExplorer({
                 return;
             }
             if (creatingInRoot === 'file') {
-                await onCreateFile(rootHandle, name);
+                await onCreateFile('', name);
             } else {
-                await onCreateFolder(rootHandle, name);
+                await onCreateFolder('', name);
             }
             setCreatingInRoot(null);
         } else if (e.key === 'Escape') {
@@ -75,10 +131,10 @@ export default function FileExplorer({
         dragCounterRef.current = 0;
         setRootDragOver(false);
         const draggedNode = TreeNode._draggedNode;
-        if (!draggedNode || !rootHandle) return;
+        if (!draggedNode) return;
         TreeNode._draggedNode = null;
         if (onMoveFile) {
-            await onMoveFile(draggedNode, rootHandle);
+            await onMoveFile(draggedNode, '');
         }
     };
 
@@ -96,7 +152,7 @@ export default function FileExplorer({
         <div className="file-explorer">
             <div className="nav-header">
                 <span className="nav-header-title">
-                    {rootHandle ? rootHandle.name : 'Explorer'}
+                    {vaultName || 'Explorer'}
                 </span>
                 <div className="nav-header-actions">
                     <button
@@ -113,6 +169,24 @@ export default function FileExplorer({
                     >
                         <FolderPlus size={15} />
                     </button>
+                    {onImportFolder && (
+                        <button
+                            className="nav-action-btn"
+                            title="Import a folder"
+                            onClick={() => importInputRef.current?.click()}
+                        >
+                            <Upload size={15} />
+                        </button>
+                    )}
+                    {onExportVault && (
+                        <button
+                            className="nav-action-btn"
+                            title="Export vault as zip"
+                            onClick={onExportVault}
+                        >
+                            <Download size={15} />
+                        </button>
+                    )}
                     <button
                         className="nav-action-btn"
                         title="Open another vault"
@@ -121,10 +195,27 @@ export default function FileExplorer({
                         <FolderOpen size={15} />
                     </button>
                 </div>
+                {onImportFolder && (
+                    <input
+                        ref={importInputRef}
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        hidden
+                        onChange={(e) => {
+                            const files = [...e.target.files];
+                            // Reset so picking the same folder again still fires onChange
+                            e.target.value = '';
+                            if (files.length) onImportFolder(files);
+                        }}
+                    />
+                )}
             </div>
 
             <div
+                ref={containerRef}
                 className={`nav-files-container${rootDragOver ? ' drag-over-root' : ''}`}
+                onScroll={(e) => setViewport({ scrollTop: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
                 onDragEnter={handleRootDragEnter}
                 onDragOver={handleRootDragOver}
                 onDragLeave={handleRootDragLeave}
@@ -142,27 +233,26 @@ export default function FileExplorer({
                         />
                     </div>
                 )}
-                {fileTree.map((node) => (
-                    <TreeNode
-                        key={node.path}
-                        node={node}
-                        activeFilePath={activeFilePath}
-                        onFileClick={onFileClick}
-                        onCreateFile={(handle, _path) => {
-                            const name = prompt('Enter file name (e.g. "note.md"):');
-                            if (name) onCreateFile(handle, name);
-                        }}
-                        onCreateFolder={(handle, _path) => {
-                            const name = prompt('Enter folder name:');
-                            if (name) onCreateFolder(handle, name);
-                        }}
-                        onTrash={onTrash}
-                        expandedPaths={expandedPaths}
-                        onToggleExpand={onToggleExpand}
-                        onMoveFile={onMoveFile}
-                        onRenameFile={onRenameFile}
-                    />
-                ))}
+                <div className="tree-rows" style={{ height: rows.length * ROW_HEIGHT }}>
+                    <div style={{ transform: `translateY(${first * ROW_HEIGHT}px)` }}>
+                        {rows.slice(first, last).map(({ node, depth }) => (
+                            <TreeNode
+                                key={node.path}
+                                node={node}
+                                depth={depth}
+                                expanded={expandedPaths.has(node.path)}
+                                activeFilePath={activeFilePath}
+                                onFileClick={onFileClick}
+                                onCreateFile={handleCreateFileIn}
+                                onCreateFolder={handleCreateFolderIn}
+                                onTrash={onTrash}
+                                onToggleExpand={onToggleExpand}
+                                onMoveFile={onMoveFile}
+                                onRenameFile={onRenameFile}
+                            />
+                        ))}
+                    </div>
+                </div>
             </div>
         </div>
     );
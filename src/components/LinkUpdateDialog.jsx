@@ -0,0 +1,49 @@
+import React from 'react';
+import { FileText } from './icons.jsx';
+
+/**
+ * Preview of the link rewrites a rename or move implies: every affected note with each
+ * changed line before and after. The user can apply them, move without touching links,
+ * or cancel the move altogether. `onChoose` receives 'update', 'skip' or 'cancel'.
+ */
+export default function LinkUpdateDialog({ title, plan, onChoose }) {
+    const linkCount = plan.reduce((sum, entry) => sum + entry.changes.length, 0);
+
+    return (
+        <div className="settings-overlay" onClick={() => onChoose('cancel')}>
+            <div className="settings-panel link-update-panel" onClick={(e) => e.stopPropagation()}>
+                <div className="settings-header">
+                    <h3 className="settings-title">{title}</h3>
+                    <button className="settings-close-btn" onClick={() => onChoose('cancel')}>×</button>
+                </div>
+                <div className="settings-body">
+                    <p className="conflict-message">
+                        {linkCount} {linkCount === 1 ? 'line' : 'lines'} in {plan.length} {plan.length === 1 ? 'note' : 'notes'} will
+                        be updated so their links keep pointing to the right place.
+                    </p>
+                    <div className="link-update-list">
+                        {plan.map((entry) => (
+                            <div key={entry.path} className="link-update-file">
+                                <div className="link-update-file-name" title={entry.path}>
+                                    <FileText size={13} />
+                                    {entry.newPath}
+                                </div>
+                                {entry.changes.map((change) => (
+                                    <div key={change.line} className="link-update-change">
+                                        <div className="conflict-diff-cell is-removed">{change.before}</div>
+                                        <div className="conflict-diff-cell is-added">{change.after}</div>
+                                    </div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                    <div className="dialog-actions">
+                        <button className="dialog-btn" onClick={() => onChoose('cancel')}>Cancel</button>
+                        <button className="dialog-btn" onClick={() => onChoose('skip')}>Don't update links</button>
+                        <button className="dialog-btn mod-cta" onClick={() => onChoose('update')}>Update links</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { parseFrontMatter, setProperty, removeProperty, convertValue, PROPERTY_TYPES } from '../utils/frontMatter.js';
+
+const TYPE_LABELS = { text: 'Text', list: 'List', date: 'Date', checkbox: 'Checkbox' };
+
+/**
+ * Chips for a list value, with an input that adds an item on Enter or comma.
+ */
+function ListEditor({ value, readOnly, onChange }) {
+    const [draft, setDraft] = useState('');
+
+    const add = () => {
+        const item = draft.trim();
+        if (item) onChange([...value, item]);
+        setDraft('');
+    };
+
+    return (
+        <div className="property-list">
+            {value.map((item, i) => (
+                <span key={i} className="property-chip">
+                    {item}
+                    {!readOnly && (
+                        <button className="property-chip-remove" title="Remove" onClick={() => onChange(value.filter((_, j) => j !== i))}>×</button>
+                    )}
+                </span>
+            ))}
+            {!readOnly && (
+                <input
+                    className="property-input property-list-input"
+                    value={draft}
+                    placeholder={value.length ? '' : 'Empty'}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={add}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ',') {
+                            e.preventDefault();
+                            add();
+                        } else if (e.key === 'Backspace' && !draft && value.length) {
+                            onChange(value.slice(0, -1));
+                        }
+                    }}
+                />
+            )}
+        </div>
+    );
+}
+
+function PropertyRow({ property, readOnly, isTaken, onUpdate, onRemove }) {
+    const { key, type, value, complex } = property;
+    // The name is only applied on blur or Enter, since renaming rewrites the row
+    const [name, setName] = useState(key);
+
+    const commitName = () => {
+        const next = name.trim();
+        if (!next || next === key || isTaken(next)) {
+            setName(key);
+            return;
+        }
+        onUpdate({ ...property, key: next });
+    };
+
+    let editor;
+    if (complex) {
+        editor = <span className="property-complex" title="Edit this property in the note's source">{value}</span>;
+    } else if (type === 'list') {
+        editor = <ListEditor value={value} readOnly={readOnly} onChange={(next) => onUpdate({ ...property, value: next })} />;
+    } else if (type === 'checkbox') {
+        editor = (
+            <input
+                type="checkbox"
+                className="property-checkbox"
+                checked={value}
+                disabled={readOnly}
+                onChange={(e) => onUpdate({ ...property, value: e.target.checked })}
+            />
+        );
+    } else {
+        editor = (
+            <input
+                type={type === 'date' ? 'date' : 'text'}
+                className="property-input"
+                value={value}
+                placeholder="Empty"
+                disabled={readOnly}
+                onChange={(e) => onUpdate({ ...property, value: e.target.value })}
+            />
+        );
+    }
+
+    return (
+        <div className="property-row">
+            <select
+                className="property-type"
+                value={type}
+                title="Property type"
+                disabled={readOnly || complex}
+                onChange={(e) => onUpdate({ ...property, type: e.target.value, value: convertValue(value, type, e.target.value), flow: false })}
+            >
+                {PROPERTY_TYPES.map(t => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+            </select>
+            <input
+                className="property-input property-name"
+                value={name}
+                disabled={readOnly || complex}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={commitName}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.currentTarget.blur();
+                    if (e.key === 'Escape') setName(key);
+                }}
+            />
+            <div className="property-value">{editor}</div>
+            {!readOnly && (
+                <button className="property-remove" title="Remove property" onClick={onRemove}>×</button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Form view of the active note's front matter. Every edit rewrites only the lines of the
+ * changed property and is handed back as the note's new text through `onChange`.
+ */
+export default function PropertiesPanel({ content, readOnly, onChange }) {
+    const frontMatter = parseFrontMatter(content);
+    const properties = frontMatter?.properties ?? [];
+    const isTaken = (key) => properties.some(p => p.key === key);
+
+    const addProperty = () => {
+        let key = 'property';
+        for (let i = 1; isTaken(key); i++) key = `property ${i}`;
+        onChange(setProperty(content, null, { key, type: 'text', value: '' }));
+    };
+
+    return (
+        <div className="properties-panel">
+            {properties.map((property) => (
+                <PropertyRow
+                    key={property.key}
+                    property={property}
+                    readOnly={readOnly}
+                    isTaken={isTaken}
+                    onUpdate={(next) => onChange(setProperty(content, property.key, next))}
+                    onRemove={() => onChange(removeProperty(content, property.key))}
+                />
+            ))}
+            {!properties.length && readOnly && <p className="properties-empty">No properties</p>}
+            {!readOnly && (
+                <button className="properties-add" onClick={addProperty}>+ Add property</button>
+            )}
+        </div>
+    );
+}
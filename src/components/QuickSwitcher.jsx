@@ -0,0 +1,135 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { basename, dirname } from '../utils/fileTree.js';
+import { fuzzyMatch } from '../utils/fuzzy.js';
+
+const MAX_RESULTS = 50;
+
+/**
+ * Render `text` with the characters at `indices` (offset by `start`) emphasised.
+ */
+function MatchedText({ text, indices, start = 0 }) {
+    const marked = new Set(indices.map(i => i - start));
+    return (
+        <>
+            {text.split('').map((ch, i) => marked.has(i)
+                ? <span key={i} className="switcher-match">{ch}</span>
+                : ch)}
+        </>
+    );
+}
+
+/**
+ * Cmd+O modal for jumping to any file in the vault by fuzzy-matching its path.
+ * Recently opened files are listed (and ranked) first.
+ * Enter opens the selection; Shift+Enter creates a note named after the query.
+ */
+export default function QuickSwitcher({ files, recentFiles, onOpen, onCreate, onClose }) {
+    const [query, setQuery] = useState('');
+    const [selected, setSelected] = useState(0);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    const results = useMemo(() => {
+        const recency = new Map(recentFiles.map((path, i) => [path, recentFiles.length - i]));
+
+        if (!query.trim()) {
+            const byPath = new Map(files.map(f => [f.path, f]));
+            const recent = recentFiles
+                .map(path => byPath.get(path))
+                .filter(Boolean);
+            const rest = files
+                .filter(f => !recency.has(f.path))
+                .sort((a, b) => a.path.localeCompare(b.path));
+            return [...recent, ...rest].slice(0, MAX_RESULTS).map(node => ({ node, indices: [] }));
+        }
+
+        const matches = [];
+        for (const node of files) {
+            const match = fuzzyMatch(query, node.path);
+            if (!match) continue;
+            // Recently opened files get a boost proportional to how recent they are
+            const score = match.score + (recency.get(node.path) || 0) * 0.5;
+            matches.push({ node, indices: match.indices, score });
+        }
+        matches.sort((a, b) => b.score - a.score);
+        return matches.slice(0, MAX_RESULTS);
+    }, [files, recentFiles, query]);
+
+    // Keep the highlighted row in view while navigating with the keyboard
+    useEffect(() => {
+        listRef.current?.children[selected]?.scrollIntoView({ block: 'nearest' });
+    }, [selected]);
+
+    const wanted = query.trim().replace(/\.md$/i, '').toLowerCase();
+    const exists = files.some(f => f.path.replace(/\.md$/i, '').toLowerCase() === wanted);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setSelected(i => Math.min(i + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setSelected(i => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                if (query.trim() && !exists) onCreate(query.trim());
+            } else if (results[selected]) {
+                onOpen(results[selected].node);
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div className="settings-overlay switcher-overlay" onClick={onClose}>
+            <div className="switcher-panel" onClick={(e) => e.stopPropagation()}>
+                <input
+                    ref={inputRef}
+                    className="switcher-input"
+                    type="text"
+                    placeholder="Find or create a note…"
+                    value={query}
+                    onChange={(e) => { setQuery(e.target.value); setSelected(0); }}
+                    onKeyDown={handleKeyDown}
+                />
+                <div className="switcher-results" ref={listRef}>
+                    {results.map(({ node, indices }, i) => {
+                        const folder = dirname(node.path);
+                        const nameStart = folder ? folder.length + 1 : 0;
+                        return (
+                            <div
+                                key={node.path}
+                                className={`switcher-item${i === selected ? ' is-selected' : ''}`}
+                                onMouseEnter={() => setSelected(i)}
+                                onClick={() => onOpen(node)}
+                            >
+                                <span className="switcher-item-name">
+                                    <MatchedText text={basename(node.path)} indices={indices} start={nameStart} />
+                                </span>
+                                {folder && (
+                                    <span className="switcher-item-path">
+                                        <MatchedText text={folder} indices={indices.filter(idx => idx < folder.length)} />
+                                    </span>
+                                )}
+                            </div>
+                        );
+                    })}
+                    {results.length === 0 && <div className="switcher-empty">No matching files</div>}
+                </div>
+                <div className="switcher-footer">
+                    <span><kbd>↑↓</kbd> navigate</span>
+                    <span><kbd>↵</kbd> open</span>
+                    {query.trim() && !exists && <span><kbd>⇧↵</kbd> create "{query.trim()}"</span>}
+                    <span><kbd>esc</kbd> dismiss</span>
+                </div>
+            </div>
+        </div>
+    );
+}
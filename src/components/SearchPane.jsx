@@ -0,0 +1,148 @@
+import React, { useState, useRef, useEffect, useDeferredValue } from 'react';
+import { useFileSystem } from '../context/FileSystemContext.jsx';
+import { basename } from '../utils/fileTree.js';
+import { ChevronRight, ChevronDown, FileText } from './icons.jsx';
+
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_MAX = 160;
+
+/**
+ * Render a line of text with its matched ranges wrapped in <mark>.
+ * Long lines are trimmed to a window around the first match.
+ */
+function HighlightedLine({ text, ranges }) {
+    let offset = 0;
+    let prefix = '';
+    if (text.length > SNIPPET_MAX && ranges[0][0] > SNIPPET_CONTEXT) {
+        offset = ranges[0][0] - SNIPPET_CONTEXT;
+        prefix = '…';
+    }
+    const visible = text.slice(offset, offset + SNIPPET_MAX);
+    const parts = [];
+    let cursor = 0;
+
+    for (const [from, to] of ranges) {
+        const start = Math.max(0, from - offset);
+        const end = Math.min(visible.length, to - offset);
+        if (start >= visible.length) break;
+        if (start > cursor) parts.push(visible.slice(cursor, start));
+        parts.push(<mark key={from} className="search-match">{visible.slice(start, end)}</mark>);
+        cursor = end;
+    }
+    if (cursor < visible.length) parts.push(visible.slice(cursor));
+
+    return <>{prefix}{parts}{offset + SNIPPET_MAX < text.length ? '…' : ''}</>;
+}
+
+/**
+ * Vault-wide full-text search, answered from the in-memory vault index.
+ * Supports "phrases", path:/tag: filters, case-sensitive and regex modes.
+ */
+export default function SearchPane({ onOpenResult, focusKey }) {
+    const { vaultIndex } = useFileSystem();
+    const [query, setQuery] = useState('');
+    const [caseSensitive, setCaseSensitive] = useState(false);
+    const [useRegex, setUseRegex] = useState(false);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const inputRef = useRef(null);
+
+    // Typing stays responsive on large vaults; the search catches up with the latest query
+    const deferredQuery = useDeferredValue(query);
+    const { results, error } = vaultIndex.query(deferredQuery, { caseSensitive, regex: useRegex });
+    const totalMatches = results.reduce((sum, r) => sum + r.matchCount, 0);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, [focusKey]);
+
+    const toggleCollapsed = (path) => {
+        setCollapsed(prev => {
+            const next = new Set(prev);
+            if (next.has(path)) next.delete(path);
+            else next.add(path);
+            return next;
+        });
+    };
+
+    return (
+        <div className="search-pane">
+            <div className="nav-header">
+                <span className="nav-header-title">Search</span>
+                <div className="nav-header-actions">
+                    <button
+                        className={`nav-action-btn search-option${caseSensitive ? ' is-active' : ''}`}
+                        title="Match case"
+                        onClick={() => setCaseSensitive(v => !v)}
+                    >
+                        Aa
+                    </button>
+                    <button
+                        className={`nav-action-btn search-option${useRegex ? ' is-active' : ''}`}
+                        title="Use regular expression"
+                        onClick={() => setUseRegex(v => !v)}
+                    >
+                        .*
+                    </button>
+                </div>
+            </div>
+            <div className="search-input-container">
+                <input
+                    ref={inputRef}
+                    className="search-input"
+                    type="text"
+                    placeholder='Search… ("phrase", path:, tag:)'
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Escape') setQuery(''); }}
+                />
+            </div>
+            {error ? (
+                <p className="sidebar-empty-hint search-error">{error}</p>
+            ) : deferredQuery.trim() && (
+                <p className="search-summary">
+                    {results.length === 0
+                        ? 'No results'
+                        : `${totalMatches} ${totalMatches === 1 ? 'match' : 'matches'} in ${results.length} ${results.length === 1 ? 'file' : 'files'}`}
+                </p>
+            )}
+            <div className="search-results">
+                {results.map((result) => {
+                    const isCollapsed = collapsed.has(result.path);
+                    return (
+                        <div key={result.path} className="search-result-group">
+                            <div
+                                className="tree-item search-result-file"
+                                title={result.path}
+                                onClick={() => toggleCollapsed(result.path)}
+                            >
+                                <span className="tree-item-chevron">
+                                    {isCollapsed ? <ChevronRight size={12} /> : <ChevronDown size={12} />}
+                                </span>
+                                <span className="tree-item-icon file-icon">
+                                    <FileText size={14} />
+                                </span>
+                                <span className="tree-item-label">{basename(result.path).replace(/\.md$/i, '')}</span>
+                                {result.matchCount > 0 && <span className="search-result-count">{result.matchCount}</span>}
+                            </div>
+                            {!isCollapsed && result.lines.length === 0 && (
+                                <div className="search-result-line" onClick={() => onOpenResult(result.path, 0)}>
+                                    {result.path}
+                                </div>
+                            )}
+                            {!isCollapsed && result.lines.map((hit) => (
+                                <div
+                                    key={hit.line}
+                                    className="search-result-line"
+                                    onClick={() => onOpenResult(result.path, hit.line)}
+                                >
+                                    <HighlightedLine text={hit.text} ranges={hit.ranges} />
+                                </div>
+                            ))}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
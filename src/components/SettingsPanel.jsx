@@ -1,8 +1,9 @@
 import React from 'react';
+import { PRINT_PAGE_SIZES } from '../utils/printNote';
 
-const DEFAULTS = { editorFontSize: 16, treeFontSize: 13, editorPadding: 6 };
+const DEFAULTS = { editorFontSize: 16, treeFontSize: 13, editorPadding: 6, printPageSize: 'A4', printMargin: 20 };
 
-export default function SettingsPanel({ editorFontSize, treeFontSize, editorPadding, onEditorFontSizeChange, onTreeFontSizeChange, onEditorPaddingChange, onResetDefaults, onClose }) {
+export default function SettingsPanel({ editorFontSize, treeFontSize, editorPadding, printPageSize, printMargin, onEditorFontSizeChange, onTreeFontSizeChange, onEditorPaddingChange, onPrintPageSizeChange, onPrintMarginChange, onResetDefaults, onClose }) {
     return (
         <div className="settings-overlay" onClick={onClose}>
             <div className="settings-panel" onClick={(e) => e.stopPropagation()}>
@@ -56,6 +57,33 @@ export default function SettingsPanel({ editorFontSize, treeFontSize, editorPadd
                             className="settings-slider"
                         />
                     </div>
+                    <div className="settings-group">
+                        <label className="settings-label">
+                            Print Page Size
+                            <select
+                                value={printPageSize}
+                                onChange={(e) => onPrintPageSizeChange(e.target.value)}
+                                className="settings-select"
+                            >
+                                {PRINT_PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <div className="settings-group">
+                        <label className="settings-label">
+                            Print Margins
+                            <span className="settings-value">{printMargin}mm</span>
+                        </label>
+                        <input
+                            type="range"
+                            min="5"
+                            max="40"
+                            step="1"
+                            value={printMargin}
+                            onChange={(e) => onPrintMarginChange(parseInt(e.target.value, 10))}
+                            className="settings-slider"
+                        />
+                    </div>
                     <button
                         className="settings-reset-btn"
                         onClick={() => onResetDefaults(DEFAULTS)}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileText, PinIcon } from './icons.jsx';
+
+/**
+ * Row of open tabs above an editor pane. Tabs can be reordered by dragging, closed with the
+ * × button or a middle-click, and pinned or split into a new pane from the right-click menu.
+ * Pinned tabs sit at the front, show no close button and are kept by "Close others".
+ */
+export default function TabBar({ tabs, activeTabId, onActivate, onClose, onCloseOthers, onTogglePin, onReorder, onSplit }) {
+    // Right-click menu: { tabId, x, y }
+    const [menu, setMenu] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
+    const draggedIdRef = useRef(null);
+
+    // Dismiss the menu on any click elsewhere or Escape
+    useEffect(() => {
+        if (!menu) return;
+        const dismiss = () => setMenu(null);
+        const onKeyDown = (e) => { if (e.key === 'Escape') setMenu(null); };
+        document.addEventListener('mousedown', dismiss);
+        document.addEventListener('keydown', onKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', dismiss);
+            document.removeEventListener('keydown', onKeyDown);
+        };
+    }, [menu]);
+
+    if (tabs.length === 0) return null;
+
+    const menuTab = menu && tabs.find(t => t.id === menu.tabId);
+
+    return (
+        <div className="tab-bar">
+            {tabs.map((tab) => (
+                <div
+                    key={tab.id}
+                    className={`tab${tab.id === activeTabId ? ' is-active' : ''}${tab.pinned ? ' is-pinned' : ''}${tab.id === dropTargetId ? ' is-drop-target' : ''}`}
+                    title={tab.file.path}
+                    draggable
+                    onClick={() => onActivate(tab.id)}
+                    onMouseDown={(e) => {
+                        // Keep the browser from starting auto-scroll on middle-click
+                        if (e.button === 1) e.preventDefault();
+                    }}
+                    onAuxClick={(e) => {
+                        if (e.button === 1 && !tab.pinned) onClose(tab.id);
+                    }}
+                    onContextMenu={(e) => {
+                        e.preventDefault();
+                        setMenu({ tabId: tab.id, x: e.clientX, y: e.clientY });
+                    }}
+                    onDragStart={(e) => {
+                        draggedIdRef.current = tab.id;
+                        e.dataTransfer.effectAllowed = 'move';
+                    }}
+                    onDragOver={(e) => {
+                        if (!draggedIdRef.current) return;
+                        e.preventDefault();
+                        setDropTargetId(tab.id);
+                    }}
+                    onDragLeave={() => setDropTargetId(id => id === tab.id ? null : id)}
+                    onDrop={(e) => {
+                        e.preventDefault();
+                        if (draggedIdRef.current) onReorder(draggedIdRef.current, tab.id);
+                        draggedIdRef.current = null;
+                        setDropTargetId(null);
+                    }}
+                    onDragEnd={() => {
+                        draggedIdRef.current = null;
+                        setDropTargetId(null);
+                    }}
+                >
+                    {tab.pinned
+                        ? <PinIcon size={13} className="tab-icon" />
+                        : <FileText size={13} className="tab-icon" />}
+                    <span className="tab-title">{tab.file.name.replace(/\.md$/i, '')}</span>
+                    {!tab.pinned && (
+                        <button
+                            className="tab-close"
+                            title="Close"
+                            onClick={(e) => { e.stopPropagation(); onClose(tab.id); }}
+                        >
+                            ×
+                        </button>
+                    )}
+                </div>
+            ))}
+
+            {menuTab && (
+                <div
+                    className="tab-menu"
+                    style={{ left: menu.x, top: menu.y }}
+                    onMouseDown={(e) => e.stopPropagation()}
+                >
+                    <button className="tab-menu-item" onClick={() => { setMenu(null); onTogglePin(menuTab.id); }}>
+                        {menuTab.pinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button className="tab-menu-item" onClick={() => { setMenu(null); onClose(menuTab.id); }}>
+                        Close
+                    </button>
+                    <button className="tab-menu-item" onClick={() => { setMenu(null); onCloseOthers(menuTab.id); }}>
+                        Close others
+                    </button>
+                    <div className="tab-menu-separator" />
+                    <button className="tab-menu-item" onClick={() => { setMenu(null); onSplit('vertical', menuTab.id); }}>
+                        Split right
+                    </button>
+                    <button className="tab-menu-item" onClick={() => { setMenu(null); onSplit('horizontal', menuTab.id); }}>
+                        Split down
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useFileSystem } from '../context/FileSystemContext.jsx';
+import { basename } from '../utils/fileTree.js';
+import { ChevronRight, ChevronDown, FileText, Edit2 } from './icons.jsx';
+
+/**
+ * Arrange the vault's tag counts into a tree: [{ key, name, label, count, children }],
+ * where nested tags (#project/alpha) sit under their parent.
+ */
+function buildTagTree(counts) {
+    const roots = [];
+    const nodes = new Map();
+    const keys = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+    for (const key of keys) {
+        const { name, count } = counts.get(key);
+        const node = { key, name, label: name.split('/').pop(), count, children: [] };
+        nodes.set(key, node);
+        const slash = key.lastIndexOf('/');
+        const parent = slash === -1 ? null : nodes.get(key.slice(0, slash));
+        (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+}
+
+function TagRow({ node, depth, expanded, selected, onToggle, onSelect, onRename }) {
+    const isExpanded = expanded.has(node.key);
+    return (
+        <>
+            <div
+                className={`tree-item tag-item${selected === node.key ? ' is-active' : ''}`}
+                style={{ paddingLeft: 12 + depth * 16 }}
+                title={`#${node.name}`}
+                onClick={() => onSelect(node)}
+            >
+                <span
+                    className="tree-item-chevron"
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onToggle(node.key);
+                    }}
+                >
+                    {node.children.length > 0 && (isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />)}
+                </span>
+                <span className="tree-item-label">#{node.label}</span>
+                <span className="tree-item-actions">
+                    <button
+                        className="tree-action-btn"
+                        title="Rename tag"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            onRename(node.name);
+                        }}
+                    >
+                        <Edit2 size={13} />
+                    </button>
+                </span>
+                <span className="tag-count">{node.count}</span>
+            </div>
+            {isExpanded && node.children.map(child => (
+                <TagRow
+                    key={child.key}
+                    node={child}
+                    depth={depth + 1}
+                    expanded={expanded}
+                    selected={selected}
+                    onToggle={onToggle}
+                    onSelect={onSelect}
+                    onRename={onRename}
+                />
+            ))}
+        </>
+    );
+}
+
+/**
+ * Every tag in the vault as a hierarchy with note counts. Selecting a tag lists the notes
+ * carrying it (nested tags included); tags can be renamed across the vault from here.
+ */
+export default function TagPane({ onOpenNote, onRenameTag }) {
+    // Re-renders whenever the context's indexVersion changes; the index caches the counts itself
+    const { vaultIndex } = useFileSystem();
+    const [expanded, setExpanded] = useState(() => new Set());
+    const [selected, setSelected] = useState(null); // { key, name }
+
+    const counts = vaultIndex.tagCounts();
+    const tree = buildTagTree(counts);
+    // The selection goes away once no note carries the tag any more (e.g. after a rename)
+    const current = selected && counts.has(selected.key) ? selected : null;
+    const notes = current ? vaultIndex.notesWithTag(current.name) : [];
+
+    const toggle = (key) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
+    return (
+        <div className="tag-pane">
+            <div className="nav-header">
+                <span className="nav-header-title">Tags</span>
+                <span className="backlinks-count">{counts.size}</span>
+            </div>
+            <div className="tag-list">
+                {tree.length === 0 ? (
+                    <p className="sidebar-empty-hint">No tags yet. Add #tags to your notes or a tags property to their front matter.</p>
+                ) : (
+                    tree.map(node => (
+                        <TagRow
+                            key={node.key}
+                            node={node}
+                            depth={0}
+                            expanded={expanded}
+                            selected={current?.key}
+                            onToggle={toggle}
+                            onSelect={(n) => setSelected({ key: n.key, name: n.name })}
+                            onRename={onRenameTag}
+                        />
+                    ))
+                )}
+            </div>
+            {current && (
+                <div className="tag-notes">
+                    <div className="tag-notes-header">
+                        <span className="tag-notes-title">#{current.name}</span>
+                        <span className="backlinks-count">{notes.length} {notes.length === 1 ? 'note' : 'notes'}</span>
+                    </div>
+                    {notes.map(path => (
+                        <div key={path} className="tree-item tag-note" title={path} onClick={() => onOpenNote(path)}>
+                            <span className="tree-item-icon file-icon">
+                                <FileText size={14} />
+                            </span>
+                            <span className="tree-item-label">{basename(path).replace(/\.md$/i, '')}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
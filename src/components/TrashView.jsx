@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { useFileSystem } from '../context/FileSystemContext.jsx';
+import { basename, dirname } from '../utils/fileTree.js';
+import { FileText, FolderIcon, RotateCcw, Trash2 } from './icons.jsx';
+
+/**
+ * Lists the contents of the vault's .Trash folder with where each item came from,
+ * and lets the user restore items, delete them permanently, or empty the trash.
+ */
+export default function TrashView() {
+    const { listTrash, restoreFromTrash, deleteFromTrash, emptyTrash, trashVersion } = useFileSystem();
+    const [items, setItems] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        listTrash().then(list => {
+            if (!cancelled) setItems(list);
+        });
+        return () => { cancelled = true; };
+    }, [listTrash, trashVersion]);
+
+    const handleRestore = async (item) => {
+        const path = await restoreFromTrash(item);
+        if (path && path !== item.originalPath) {
+            alert(`"${item.originalPath}" already exists, so the item was restored as "${path}".`);
+        }
+    };
+
+    const handleDelete = async (item) => {
+        if (confirm(`Permanently delete "${basename(item.originalPath)}"? This cannot be undone.`)) {
+            await deleteFromTrash(item);
+        }
+    };
+
+    const handleEmpty = async () => {
+        if (confirm(`Permanently delete all ${items.length} items in the trash? This cannot be undone.`)) {
+            await emptyTrash();
+        }
+    };
+
+    return (
+        <div className="trash-view">
+            <div className="nav-header">
+                <span className="nav-header-title">Trash</span>
+                <div className="nav-header-actions">
+                    <button
+                        className="nav-action-btn"
+                        title="Empty trash"
+                        disabled={items.length === 0}
+                        onClick={handleEmpty}
+                    >
+                        <Trash2 size={15} />
+                    </button>
+                </div>
+            </div>
+            <div className="trash-list">
+                {items.length === 0 ? (
+                    <p className="sidebar-empty-hint">The trash is empty.</p>
+                ) : (
+                    items.map((item) => {
+                        const folder = dirname(item.originalPath);
+                        return (
+                            <div key={item.name} className="tree-item trash-item" title={item.originalPath}>
+                                <span className={`tree-item-icon ${item.kind === 'directory' ? 'folder-icon' : 'file-icon'}`}>
+                                    {item.kind === 'directory' ? <FolderIcon size={14} /> : <FileText size={14} />}
+                                </span>
+                                <span className="trash-item-text">
+                                    <span className="tree-item-label">{basename(item.originalPath)}</span>
+                                    <span className="trash-item-meta">
+                                        {folder || 'Vault root'}
+                                        {item.deletedAt && ` · ${new Date(item.deletedAt).toLocaleString()}`}
+                                    </span>
+                                </span>
+                                <span className="tree-item-actions">
+                                    <button className="tree-action-btn" title="Restore" onClick={() => handleRestore(item)}>
+                                        <RotateCcw size={13} />
+                                    </button>
+                                    <button className="tree-action-btn" title="Delete permanently" onClick={() => handleDelete(item)}>
+                                        <Trash2 size={13} />
+                                    </button>
+                                </span>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,10 +1,13 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { ChevronRight, ChevronDown, FileText, FolderIcon, FilePlus, FolderPlus, Trash2, Edit2 } from './icons.jsx';
 
-export default function TreeNode({ node, activeFilePath, onFileClick, onCreateFile, onCreateFolder, onTrash, expandedPaths, onToggleExpand, onMoveFile, onRenameFile, depth = 0 }) {
+/**
+ * A single row of the file tree. Rows are laid out flat by FileExplorer (which only mounts
+ * the visible ones); `depth` sets the indentation and `expanded` the folder chevron.
+ */
+export default function TreeNode({ node, depth = 0, expanded = false, activeFilePath, onFileClick, onCreateFile, onCreateFolder, onTrash, onToggleExpand, onMoveFile, onRenameFile }) {
     const isActive = node.kind === 'file' && node.path === activeFilePath;
     const paddingLeft = 12 + depth * 16;
-    const expanded = expandedPaths.has(node.path);
     const [dragOver, setDragOver] = useState(false);
     const [isRenaming, setIsRenaming] = useState(false);
     const [renameValue, setRenameValue] = useState(node.name);
@@ -87,7 +90,7 @@ export default function TreeNode({ node, activeFilePath, onFileClick, onCreateFi
         if (node.path.startsWith(draggedNode.path + '/')) return;
 
         if (onMoveFile) {
-            await onMoveFile(draggedNode, node.handle);
+            await onMoveFile(draggedNode, node.path);
         }
     };
 
@@ -147,92 +150,70 @@ export default function TreeNode({ node, activeFilePath, onFileClick, onCreateFi
     }
 
     return (
-        <div className="tree-item-container">
-            <div
-                className={`tree-item tree-folder${dragOver ? ' drag-over' : ''}`}
-                style={{ paddingLeft }}
-                onClick={() => { if (!isRenaming) onToggleExpand(node.path); }}
-                draggable={!isRenaming}
-                onDragStart={!isRenaming ? handleDragStart : undefined}
-                onDragEnd={!isRenaming ? handleDragEnd : undefined}
-                onDragOver={handleDragOver}
-                onDragLeave={handleDragLeave}
-                onDrop={handleDrop}
-            >
-                <span className="tree-item-chevron">
-                    {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
-                </span>
-                <span className="tree-item-icon folder-icon">
-                    <FolderIcon size={14} />
-                </span>
-                {isRenaming ? (
-                    <div className="tree-inline-input" style={{ flex: 1, paddingRight: 0 }}>
-                        <input
-                            ref={renameInputRef}
-                            className="inline-rename-input"
-                            type="text"
-                            value={renameValue}
-                            onChange={(e) => setRenameValue(e.target.value)}
-                            onKeyDown={handleRenameKeyDown}
-                            onBlur={handleRenameBlur}
-                            onClick={(e) => e.stopPropagation()}
-                        />
-                    </div>
-                ) : (
-                    <span className="tree-item-label">{node.name}</span>
-                )}
-                {!isRenaming && (
-                    <span className="tree-item-actions">
-                        <button
-                            className="tree-action-btn"
-                            title="Rename folder"
-                            onClick={(e) => { e.stopPropagation(); setIsRenaming(true); }}
-                        >
-                            <Edit2 size={13} />
-                        </button>
-                        <button
-                            className="tree-action-btn"
-                            title="New file"
-                            onClick={(e) => { e.stopPropagation(); onCreateFile(node.handle, node.path); }}
-                        >
-                            <FilePlus size={14} />
-                        </button>
-                        <button
-                            className="tree-action-btn"
-                            title="New folder"
-                            onClick={(e) => { e.stopPropagation(); onCreateFolder(node.handle, node.path); }}
-                        >
-                            <FolderPlus size={14} />
-                        </button>
-                        <button
-                            className="tree-action-btn trash-btn"
-                            title="Move to Trash"
-                            onClick={(e) => { e.stopPropagation(); onTrash(node); }}
-                        >
-                            <Trash2 size={13} />
-                        </button>
-                    </span>
-                )}
-            </div>
-            {expanded && node.children && (
-                <div className="tree-children">
-                    {node.children.map((child) => (
-                        <TreeNode
-                            key={child.path}
-                            node={child}
-                            activeFilePath={activeFilePath}
-                            onFileClick={onFileClick}
-                            onCreateFile={onCreateFile}
-                            onCreateFolder={onCreateFolder}
-                            onTrash={onTrash}
-                            expandedPaths={expandedPaths}
-                            onToggleExpand={onToggleExpand}
-                            onMoveFile={onMoveFile}
-                            onRenameFile={onRenameFile}
-                            depth={depth + 1}
-                        />
-                    ))}
+        <div
+            className={`tree-item tree-folder${dragOver ? ' drag-over' : ''}`}
+            style={{ paddingLeft }}
+            onClick={() => { if (!isRenaming) onToggleExpand(node.path); }}
+            draggable={!isRenaming}
+            onDragStart={!isRenaming ? handleDragStart : undefined}
+            onDragEnd={!isRenaming ? handleDragEnd : undefined}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
+            <span className="tree-item-chevron">
+                {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+            </span>
+            <span className="tree-item-icon folder-icon">
+                <FolderIcon size={14} />
+            </span>
+            {isRenaming ? (
+                <div className="tree-inline-input" style={{ flex: 1, paddingRight: 0 }}>
+                    <input
+                        ref={renameInputRef}
+                        className="inline-rename-input"
+                        type="text"
+                        value={renameValue}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        onKeyDown={handleRenameKeyDown}
+                        onBlur={handleRenameBlur}
+                        onClick={(e) => e.stopPropagation()}
+                    />
                 </div>
+            ) : (
+                <span className="tree-item-label">{node.name}</span>
+            )}
+            {!isRenaming && (
+                <span className="tree-item-actions">
+                    <button
+                        className="tree-action-btn"
+                        title="Rename folder"
+                        onClick={(e) => { e.stopPropagation(); setIsRenaming(true); }}
+                    >
+                        <Edit2 size={13} />
+                    </button>
+                    <button
+                        className="tree-action-btn"
+                        title="New file"
+                        onClick={(e) => { e.stopPropagation(); onCreateFile(node.path); }}
+                    >
+                        <FilePlus size={14} />
+                    </button>
+                    <button
+                        className="tree-action-btn"
+                        title="New folder"
+                        onClick={(e) => { e.stopPropagation(); onCreateFolder(node.path); }}
+                    >
+                        <FolderPlus size={14} />
+                    </button>
+                    <button
+                        className="tree-action-btn trash-btn"
+                        title="Move to Trash"
+                        onClick={(e) => { e.stopPropagation(); onTrash(node); }}
+                    >
+                        <Trash2 size={13} />
+                    </button>
+                </span>
             )}
         </div>
     );
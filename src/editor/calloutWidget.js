@@ -0,0 +1,154 @@
+import { WidgetType } from '@codemirror/view';
+import { StateEffect, StateField } from '@codemirror/state';
+
+/**
+ * Obsidian-style callouts: a blockquote whose first line is `> [!type] Title`.
+ * A `-` or `+` right after the type makes it foldable, folded or unfolded by default.
+ */
+
+// Inside the first line of a callout, with the quote markers removed
+export const CALLOUT_REGEX = /^\[!([^\]\s]+)\]([+-]?)[ \t]*(.*)$/;
+
+// 24×24 line icons (Lucide)
+const ICONS = {
+    pencil: '<path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>',
+    clipboard: '<path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/><rect x="8" y="2" width="8" height="4" rx="1"/>',
+    info: '<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/>',
+    checkCircle: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
+    flame: '<path d="M8.5 14.5A2.5 2.5 0 0 0 11 12c0-1.38-.5-2-1-3-1.07-2.14-.22-4.05 2-6 .5 2.5 2 4.9 4 6.5 2 1.6 3 3.5 3 5.5a7 7 0 1 1-14 0c0-1.15.43-2.29 1-3a2.5 2.5 0 0 0 2.5 2.5z"/>',
+    check: '<polyline points="20 6 9 17 4 12"/>',
+    help: '<circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/><line x1="12" y1="17" x2="12.01" y2="17"/>',
+    alert: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>',
+    x: '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>',
+    zap: '<polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>',
+    bug: '<rect x="8" y="6" width="8" height="14" rx="4"/><path d="M19 7l-3 2M5 7l3 2M19 19l-3-2M5 19l3-2M20 13h-4M4 13h4M10 4l1 2M14 4l-1 2"/>',
+    list: '<line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/><line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/>',
+    quote: '<path d="M3 21c3 0 7-1 7-8V5c0-1.25-.756-2.017-2-2H4c-1.25 0-2 .75-2 1.972V11c0 1.25.75 2 2 2 1 0 1 0 1 1v1c0 1-1 2-2 2s-1 .008-1 1.031V20c0 1 0 1 1 1z"/><path d="M15 21c3 0 7-1 7-8V5c0-1.25-.757-2.017-2-2h-4c-1.25 0-2 .75-2 1.972V11c0 1.25.75 2 2 2h.75c0 2.25.25 4-2.75 4v3c0 1 0 1 1 1z"/>',
+    chevron: '<polyline points="6 9 12 15 18 9"/>',
+};
+
+// Colors are RGB triplets so the box can tint its background with the same color
+const CALLOUT_KINDS = {
+    note: { color: '68, 138, 255', icon: 'pencil' },
+    abstract: { color: '0, 176, 255', icon: 'clipboard' },
+    info: { color: '0, 184, 212', icon: 'info' },
+    todo: { color: '0, 184, 212', icon: 'checkCircle' },
+    tip: { color: '0, 191, 165', icon: 'flame' },
+    success: { color: '8, 185, 78', icon: 'check' },
+    question: { color: '236, 117, 0', icon: 'help' },
+    warning: { color: '236, 117, 0', icon: 'alert' },
+    failure: { color: '233, 49, 71', icon: 'x' },
+    danger: { color: '233, 49, 71', icon: 'zap' },
+    bug: { color: '233, 49, 71', icon: 'bug' },
+    example: { color: '120, 82, 238', icon: 'list' },
+    quote: { color: '158, 158, 158', icon: 'quote' },
+};
+
+const CALLOUT_ALIASES = {
+    summary: 'abstract', tldr: 'abstract',
+    hint: 'tip', important: 'tip',
+    check: 'success', done: 'success',
+    help: 'question', faq: 'question',
+    caution: 'warning', attention: 'warning',
+    fail: 'failure', missing: 'failure',
+    error: 'danger',
+    cite: 'quote',
+};
+
+/**
+ * Color and icon of a callout type. Unknown (custom) types look like a note.
+ */
+export function calloutKind(type) {
+    const key = type.toLowerCase();
+    return CALLOUT_KINDS[CALLOUT_ALIASES[key] || key] || CALLOUT_KINDS.note;
+}
+
+/**
+ * The title shown when a callout doesn't give one: its type, capitalized.
+ */
+export function defaultCalloutTitle(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1).toLowerCase();
+}
+
+export function calloutIconSvg(type) {
+    return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${ICONS[calloutKind(type).icon]}</svg>`;
+}
+
+/**
+ * Callouts whose fold state the user flipped from the default, by the position of their
+ * first line. Positions follow edits to the document.
+ */
+export const toggleCalloutFold = StateEffect.define({ map: (pos, mapping) => mapping.mapPos(pos) });
+
+export const calloutFolds = StateField.define({
+    create() {
+        return new Set();
+    },
+    update(toggled, tr) {
+        let next = toggled;
+        if (tr.docChanged) next = new Set([...next].map(pos => tr.changes.mapPos(pos)));
+        for (const effect of tr.effects) {
+            if (!effect.is(toggleCalloutFold)) continue;
+            next = new Set(next);
+            if (next.has(effect.value)) next.delete(effect.value);
+            else next.add(effect.value);
+        }
+        return next;
+    },
+});
+
+/**
+ * The icon (and the default title, when the callout has none) that stands in for `[!type]`.
+ */
+export class CalloutTitleWidget extends WidgetType {
+    constructor(type, showDefaultTitle) {
+        super();
+        this.type = type;
+        this.showDefaultTitle = showDefaultTitle;
+    }
+
+    eq(other) {
+        return other.type === this.type && other.showDefaultTitle === this.showDefaultTitle;
+    }
+
+    toDOM() {
+        const el = document.createElement('span');
+        el.className = 'cm-callout-title-inner';
+        const icon = document.createElement('span');
+        icon.className = 'cm-callout-icon';
+        icon.innerHTML = calloutIconSvg(this.type);
+        el.appendChild(icon);
+        if (this.showDefaultTitle) el.appendChild(document.createTextNode(defaultCalloutTitle(this.type)));
+        return el;
+    }
+
+    ignoreEvent() { return false; }
+}
+
+/**
+ * Chevron at the end of a foldable callout's title line; clicking it folds or unfolds the body.
+ */
+export class CalloutFoldWidget extends WidgetType {
+    constructor(folded) {
+        super();
+        this.folded = folded;
+    }
+
+    eq(other) {
+        return other.folded === this.folded;
+    }
+
+    toDOM(view) {
+        const el = document.createElement('span');
+        el.className = `cm-callout-fold${this.folded ? ' is-folded' : ''}`;
+        el.title = this.folded ? 'Expand' : 'Collapse';
+        el.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${ICONS.chevron}</svg>`;
+        el.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const line = view.state.doc.lineAt(view.posAtDOM(el));
+            view.dispatch({ effects: toggleCalloutFold.of(line.from) });
+        });
+        return el;
+    }
+}
@@ -2,32 +2,106 @@ import { EditorView } from '@codemirror/view';
 import { HighlightStyle, syntaxHighlighting } from '@codemirror/language';
 import { tags } from '@lezer/highlight';
 
+export const editorFonts = {
+    text: '-apple-system, BlinkMacSystemFont, "Segoe UI", Inter, "Roboto", sans-serif',
+    monospace: '"SF Mono", Menlo, Monaco, monospace',
+};
+
+/**
+ * Colors of the two editor themes. Also used to style notes exported outside the app.
+ */
+export const themePalettes = {
+    dark: {
+        background: '#1e1e1e',
+        backgroundAlt: '#252525',
+        border: '#363636',
+        text: '#dcddde',
+        muted: '#999',
+        faint: '#666',
+        accent: 'hsl(254, 80%, 68%)',
+        code: '#e06c75',
+        codeBackground: 'rgba(255,255,255,0.06)',
+        highlight: 'rgba(255, 208, 0, 0.4)',
+        selection: 'rgba(135, 103, 213, 0.3)',
+        activeLine: 'rgba(255, 255, 255, 0.03)',
+        scrollbar: 'rgba(255,255,255,0.1)',
+        scrollbarHover: 'rgba(255,255,255,0.18)',
+        // Code syntax
+        keyword: '#c678dd',
+        string: '#98c379',
+        number: '#d19a66',
+        function: '#61afef',
+        type: '#e5c07b',
+        property: '#56b6c2',
+    },
+    light: {
+        background: '#ffffff',
+        backgroundAlt: '#f2f3f5',
+        border: '#dadce0',
+        text: '#2e3338',
+        muted: '#5c5f66',
+        faint: '#999',
+        accent: 'hsl(254, 80%, 52%)',
+        code: '#d14',
+        codeBackground: 'rgba(0,0,0,0.04)',
+        highlight: 'rgba(255, 208, 0, 0.4)',
+        selection: 'rgba(135, 103, 213, 0.2)',
+        activeLine: 'rgba(0, 0, 0, 0.03)',
+        scrollbar: 'rgba(0,0,0,0.1)',
+        scrollbarHover: 'rgba(0,0,0,0.2)',
+        // Code syntax
+        keyword: '#a626a4',
+        string: '#50a14f',
+        number: '#986801',
+        function: '#4078f2',
+        type: '#c18401',
+        property: '#0184bc',
+    },
+};
+
+const dark = themePalettes.dark;
+const light = themePalettes.light;
+
+// Tokens of the languages inside fenced code blocks
+function codeTokenStyles(c) {
+    return [
+        { tag: tags.keyword, color: c.keyword },
+        { tag: [tags.string, tags.regexp], color: c.string },
+        { tag: [tags.number, tags.bool, tags.atom, tags.null], color: c.number },
+        { tag: [tags.function(tags.variableName), tags.function(tags.propertyName)], color: c.function },
+        { tag: [tags.typeName, tags.className, tags.namespace], color: c.type },
+        { tag: [tags.propertyName, tags.attributeName], color: c.property },
+        { tag: tags.tagName, color: c.code },
+        { tag: tags.invalid, color: c.code },
+    ];
+}
+
 /**
  * CodeMirror 6 theme matching Obsidian's default dark theme.
  */
 export const obsidianDarkTheme = EditorView.theme({
     '&': {
-        backgroundColor: '#1e1e1e',
-        color: '#dcddde',
+        backgroundColor: dark.background,
+        color: dark.text,
         fontSize: 'var(--font-size-normal)',
-        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Inter, "Roboto", sans-serif',
+        fontFamily: editorFonts.text,
         height: '100%',
     },
     '.cm-content': {
-        caretColor: '#dcddde',
+        caretColor: dark.text,
         padding: '24px 32px',
         lineHeight: '1.65',
         fontFamily: 'inherit',
     },
     '.cm-cursor, .cm-dropCursor': {
-        borderLeftColor: '#dcddde',
+        borderLeftColor: dark.text,
         borderLeftWidth: '2px',
     },
     '&.cm-focused .cm-selectionBackground, .cm-selectionBackground': {
-        backgroundColor: 'rgba(135, 103, 213, 0.3)',
+        backgroundColor: dark.selection,
     },
     '.cm-activeLine': {
-        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+        backgroundColor: dark.activeLine,
     },
     '.cm-gutters': {
         display: 'none',
@@ -51,63 +125,66 @@ export const obsidianDarkTheme = EditorView.theme({
         background: 'transparent',
     },
     '.cm-scroller::-webkit-scrollbar-thumb': {
-        background: 'rgba(255,255,255,0.1)',
+        background: dark.scrollbar,
         borderRadius: '3px',
     },
     '.cm-scroller::-webkit-scrollbar-thumb:hover': {
-        background: 'rgba(255,255,255,0.18)',
+        background: dark.scrollbarHover,
     },
 }, { dark: true });
 
 /**
  * Syntax highlighting matching Obsidian's colors.
  */
-export const obsidianHighlightStyle = syntaxHighlighting(HighlightStyle.define([
-    { tag: tags.heading1, fontWeight: '700', fontSize: '1.3em', color: '#dcddde' },
-    { tag: tags.heading2, fontWeight: '600', fontSize: '1.2em', color: '#dcddde' },
-    { tag: tags.heading3, fontWeight: '600', fontSize: '1.12em', color: '#dcddde' },
-    { tag: tags.heading4, fontWeight: '600', fontSize: '1.05em', color: '#dcddde' },
-    { tag: tags.heading5, fontWeight: '600', fontSize: '1em', color: '#dcddde' },
-    { tag: tags.heading6, fontWeight: '600', fontSize: '1em', color: '#999' },
-    { tag: tags.strong, fontWeight: '700', color: '#dcddde' },
-    { tag: tags.emphasis, fontStyle: 'italic', color: '#dcddde' },
-    { tag: tags.strikethrough, textDecoration: 'line-through', color: '#999' },
-    { tag: tags.link, color: 'hsl(254, 80%, 68%)', textDecoration: 'underline' },
-    { tag: tags.url, color: 'hsl(254, 80%, 68%)' },
-    { tag: tags.monospace, fontFamily: '"SF Mono", Menlo, Monaco, monospace', color: '#e06c75', backgroundColor: 'rgba(255,255,255,0.06)', borderRadius: '3px' },
-    { tag: tags.quote, color: '#999', fontStyle: 'italic' },
-    { tag: tags.list, color: '#dcddde' },
-    { tag: tags.meta, color: '#666' },
-    { tag: tags.comment, color: '#666' },
-    { tag: tags.processingInstruction, color: '#e06c75' },
-]));
+const darkHighlightStyle = HighlightStyle.define([
+    { tag: tags.heading1, fontWeight: '700', fontSize: '1.3em', color: dark.text },
+    { tag: tags.heading2, fontWeight: '600', fontSize: '1.2em', color: dark.text },
+    { tag: tags.heading3, fontWeight: '600', fontSize: '1.12em', color: dark.text },
+    { tag: tags.heading4, fontWeight: '600', fontSize: '1.05em', color: dark.text },
+    { tag: tags.heading5, fontWeight: '600', fontSize: '1em', color: dark.text },
+    { tag: tags.heading6, fontWeight: '600', fontSize: '1em', color: dark.muted },
+    { tag: tags.strong, fontWeight: '700', color: dark.text },
+    { tag: tags.emphasis, fontStyle: 'italic', color: dark.text },
+    { tag: tags.strikethrough, textDecoration: 'line-through', color: dark.muted },
+    { tag: tags.link, color: dark.accent, textDecoration: 'underline' },
+    { tag: tags.url, color: dark.accent },
+    { tag: tags.monospace, fontFamily: editorFonts.monospace, color: dark.code, backgroundColor: dark.codeBackground, borderRadius: '3px' },
+    { tag: tags.quote, color: dark.muted, fontStyle: 'italic' },
+    { tag: tags.list, color: dark.text },
+    { tag: tags.meta, color: dark.faint },
+    { tag: tags.comment, color: dark.faint },
+    { tag: tags.processingInstruction, color: dark.code },
+    ...codeTokenStyles(dark),
+]);
+
+export const obsidianHighlightStyle = syntaxHighlighting(darkHighlightStyle);
 
 /**
  * CodeMirror 6 theme matching Obsidian's default light theme.
  */
 export const obsidianLightTheme = EditorView.theme({
     '&': {
-        backgroundColor: '#ffffff',
-        color: '#2e3338',
+        backgroundColor: light.background,
+        color: light.text,
         fontSize: 'var(--font-size-normal)',
-        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Inter, "Roboto", sans-serif',
+        fontFamily: editorFonts.text,
         height: '100%',
     },
     '.cm-content': {
-        caretColor: '#2e3338',
+        caretColor: light.text,
         padding: '24px 32px',
         lineHeight: '1.65',
         fontFamily: 'inherit',
     },
     '.cm-cursor, .cm-dropCursor': {
-        borderLeftColor: '#2e3338',
+        borderLeftColor: light.text,
         borderLeftWidth: '2px',
     },
     '&.cm-focused .cm-selectionBackground, .cm-selectionBackground': {
-        backgroundColor: 'rgba(135, 103, 213, 0.2)',
+        backgroundColor: light.selection,
     },
     '.cm-activeLine': {
-        backgroundColor: 'rgba(0, 0, 0, 0.03)',
+        backgroundColor: light.activeLine,
     },
     '.cm-gutters': {
         display: 'none',
@@ -131,33 +208,42 @@ export const obsidianLightTheme = EditorView.theme({
         background: 'transparent',
     },
     '.cm-scroller::-webkit-scrollbar-thumb': {
-        background: 'rgba(0,0,0,0.1)',
+        background: light.scrollbar,
         borderRadius: '3px',
     },
     '.cm-scroller::-webkit-scrollbar-thumb:hover': {
-        background: 'rgba(0,0,0,0.2)',
+        background: light.scrollbarHover,
     },
 }, { dark: false });
 
 /**
  * Syntax highlighting matching Obsidian's light colors.
  */
-export const obsidianLightHighlightStyle = syntaxHighlighting(HighlightStyle.define([
-    { tag: tags.heading1, fontWeight: '700', fontSize: '1.3em', color: '#2e3338' },
-    { tag: tags.heading2, fontWeight: '600', fontSize: '1.2em', color: '#2e3338' },
-    { tag: tags.heading3, fontWeight: '600', fontSize: '1.12em', color: '#2e3338' },
-    { tag: tags.heading4, fontWeight: '600', fontSize: '1.05em', color: '#2e3338' },
-    { tag: tags.heading5, fontWeight: '600', fontSize: '1em', color: '#2e3338' },
-    { tag: tags.heading6, fontWeight: '600', fontSize: '1em', color: '#5c5f66' },
-    { tag: tags.strong, fontWeight: '700', color: '#2e3338' },
-    { tag: tags.emphasis, fontStyle: 'italic', color: '#2e3338' },
-    { tag: tags.strikethrough, textDecoration: 'line-through', color: '#5c5f66' },
-    { tag: tags.link, color: 'hsl(254, 80%, 52%)', textDecoration: 'underline' },
-    { tag: tags.url, color: 'hsl(254, 80%, 52%)' },
-    { tag: tags.monospace, fontFamily: '"SF Mono", Menlo, Monaco, monospace', color: '#d14', backgroundColor: 'rgba(0,0,0,0.04)', borderRadius: '3px' },
-    { tag: tags.quote, color: '#5c5f66', fontStyle: 'italic' },
-    { tag: tags.list, color: '#2e3338' },
-    { tag: tags.meta, color: '#999' },
-    { tag: tags.comment, color: '#999' },
-    { tag: tags.processingInstruction, color: '#d14' },
-]));
+const lightHighlightStyle = HighlightStyle.define([
+    { tag: tags.heading1, fontWeight: '700', fontSize: '1.3em', color: light.text },
+    { tag: tags.heading2, fontWeight: '600', fontSize: '1.2em', color: light.text },
+    { tag: tags.heading3, fontWeight: '600', fontSize: '1.12em', color: light.text },
+    { tag: tags.heading4, fontWeight: '600', fontSize: '1.05em', color: light.text },
+    { tag: tags.heading5, fontWeight: '600', fontSize: '1em', color: light.text },
+    { tag: tags.heading6, fontWeight: '600', fontSize: '1em', color: light.muted },
+    { tag: tags.strong, fontWeight: '700', color: light.text },
+    { tag: tags.emphasis, fontStyle: 'italic', color: light.text },
+    { tag: tags.strikethrough, textDecoration: 'line-through', color: light.muted },
+    { tag: tags.link, color: light.accent, textDecoration: 'underline' },
+    { tag: tags.url, color: light.accent },
+    { tag: tags.monospace, fontFamily: editorFonts.monospace, color: light.code, backgroundColor: light.codeBackground, borderRadius: '3px' },
+    { tag: tags.quote, color: light.muted, fontStyle: 'italic' },
+    { tag: tags.list, color: light.text },
+    { tag: tags.meta, color: light.faint },
+    { tag: tags.comment, color: light.faint },
+    { tag: tags.processingInstruction, color: light.code },
+    ...codeTokenStyles(light),
+]);
+
+export const obsidianLightHighlightStyle = syntaxHighlighting(lightHighlightStyle);
+
+/**
+ * The highlight styles by theme, for code highlighted outside the editor's syntax tree
+ * (rendered code blocks and exports).
+ */
+export const highlightStyles = { dark: darkHighlightStyle, light: lightHighlightStyle };
@@ -0,0 +1,147 @@
+import { WidgetType } from '@codemirror/view';
+import { LanguageDescription } from '@codemirror/language';
+import { languages } from '@codemirror/language-data';
+import { highlightCode } from '@lezer/highlight';
+import { highlightStyles } from './cmTheme.js';
+
+/**
+ * Split a fenced code block's info string, e.g. "js {2,4-6} showLineNumbers", into
+ * { language, highlight: Set of 1-based line numbers to highlight, lineNumbers }.
+ */
+export function parseCodeInfo(info) {
+    const highlight = new Set();
+    for (const [, ranges] of info.matchAll(/\{([^}]*)\}/g)) {
+        for (const part of ranges.split(',')) {
+            const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+            if (!range) continue;
+            const start = parseInt(range[1], 10);
+            const end = Math.min(range[2] ? parseInt(range[2], 10) : start, start + 10000);
+            for (let line = start; line <= end; line++) highlight.add(line);
+        }
+    }
+    const options = info.replace(/\{[^}]*\}/g, ' ').trim().split(/\s+/);
+    return {
+        language: info.trim().match(/^[^\s{]*/)[0],
+        highlight,
+        lineNumbers: options.slice(1).some(option => /^(showLineNumbers|lineNumbers|linenums)$/i.test(option)),
+    };
+}
+
+function findLanguage(name) {
+    return name ? LanguageDescription.matchLanguageName(languages, name, true) : null;
+}
+
+/**
+ * Load the parser for a code block's language, so the next CodeBlockWidget for it renders
+ * highlighted right away. Resolves once loaded (or immediately for unknown languages).
+ */
+export async function loadCodeLanguage(info) {
+    const description = findLanguage(parseCodeInfo(info).language);
+    if (description && !description.support) await description.load().catch(() => {});
+}
+
+// The code's lines as lists of [text, classes] tokens, highlighted when the parser is loaded
+function tokenizeLines(code, description, theme) {
+    if (!description?.support) return code.split('\n').map(line => [[line, '']]);
+    const lines = [[]];
+    highlightCode(
+        code,
+        description.support.language.parser.parse(code),
+        highlightStyles[theme] || highlightStyles.dark,
+        (text, classes) => lines[lines.length - 1].push([text, classes]),
+        () => lines.push([])
+    );
+    return lines;
+}
+
+function fillCode(codeEl, lines, { highlight, lineNumbers }) {
+    codeEl.replaceChildren();
+    lines.forEach((tokens, i) => {
+        const line = document.createElement('span');
+        line.className = highlight.has(i + 1) ? 'cm-codeblock-line is-highlighted' : 'cm-codeblock-line';
+        if (lineNumbers) {
+            const number = document.createElement('span');
+            number.className = 'cm-codeblock-line-number';
+            number.textContent = String(i + 1);
+            line.appendChild(number);
+        }
+        for (const [text, classes] of tokens) {
+            if (!classes) {
+                line.appendChild(document.createTextNode(text));
+                continue;
+            }
+            const token = document.createElement('span');
+            token.className = classes;
+            token.textContent = text;
+            line.appendChild(token);
+        }
+        codeEl.appendChild(line);
+    });
+}
+
+/**
+ * A fenced code block rendered with its language's highlighting, a language badge and a copy
+ * button. The info string can ask for line numbers and highlighted lines (see parseCodeInfo).
+ */
+export class CodeBlockWidget extends WidgetType {
+    constructor(code, info, theme) {
+        super();
+        this.code = code;
+        this.info = info;
+        this.theme = theme;
+    }
+
+    eq(other) {
+        return other.code === this.code && other.info === this.info && other.theme === this.theme;
+    }
+
+    toDOM(view) {
+        const options = parseCodeInfo(this.info);
+        const description = findLanguage(options.language);
+
+        const el = document.createElement('div');
+        el.className = 'cm-codeblock-widget';
+        const header = document.createElement('div');
+        header.className = 'cm-codeblock-header';
+        if (options.language) {
+            const badge = document.createElement('span');
+            badge.className = 'cm-codeblock-lang';
+            badge.textContent = description ? description.name : options.language;
+            header.appendChild(badge);
+        }
+        // Exports render the widget without an editor behind it, and without the copy button
+        if (view) {
+            const copy = document.createElement('button');
+            copy.className = 'cm-codeblock-copy';
+            copy.textContent = 'Copy';
+            copy.addEventListener('mousedown', (e) => e.preventDefault());
+            copy.addEventListener('click', () => {
+                navigator.clipboard.writeText(this.code).then(() => {
+                    copy.textContent = 'Copied';
+                    setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+                }).catch(err => console.error('Failed to copy code:', err));
+            });
+            header.appendChild(copy);
+        }
+        el.appendChild(header);
+
+        const pre = document.createElement('pre');
+        const codeEl = document.createElement('code');
+        if (options.language) codeEl.className = `language-${options.language}`;
+        pre.appendChild(codeEl);
+        el.appendChild(pre);
+
+        fillCode(codeEl, tokenizeLines(this.code, description, this.theme), options);
+        if (description && !description.support) {
+            description.load().then(() => {
+                fillCode(codeEl, tokenizeLines(this.code, description, this.theme), options);
+            }).catch(err => console.error(`Failed to load ${description.name} highlighting:`, err));
+        }
+        return el;
+    }
+
+    // The copy button handles its own clicks; anywhere else moves the cursor into the block
+    ignoreEvent(event) {
+        return event.target instanceof Element && !!event.target.closest('.cm-codeblock-copy');
+    }
+}
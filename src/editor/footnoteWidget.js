@@ -0,0 +1,199 @@
+import { WidgetType, EditorView, hoverTooltip } from '@codemirror/view';
+import { findFootnotes } from '../utils/footnotes.js';
+import { safeHref } from '../utils/safeUrl.js';
+
+/**
+ * Footnotes in the live preview (see utils/footnotes.js). Widgets look positions up again when
+ * clicked rather than keeping them, since the document may have changed since they were drawn.
+ * `renderNote(text)` resolves a footnote's markdown to HTML.
+ */
+
+/**
+ * Fill `el` with a footnote's rendered HTML. The renderer escapes the note's own markup already;
+ * as this runs in the app's page, scripts, event handlers and unsafe links are stripped again
+ * on an inert copy before it is attached.
+ */
+function setNoteHtml(el, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('script, iframe, object, embed').forEach(node => node.remove());
+    for (const node of template.content.querySelectorAll('*')) {
+        for (const { name, value } of [...node.attributes]) {
+            // Images may also come from the vault (blob:) or be inlined (data:image/)
+            const image = name === 'src' && /^(blob:|data:image\/)/i.test(value.trim());
+            const unsafeUrl = /(^|:)(href|src)$/i.test(name) && safeHref(value) === null && !image;
+            if (/^on/i.test(name) || unsafeUrl) {
+                node.removeAttribute(name);
+            }
+        }
+    }
+    el.replaceChildren(template.content);
+}
+
+// Move the cursor to `pos` while editing; in read mode only scroll there
+function revealPosition(view, pos) {
+    if (!view.state.facet(EditorView.editable)) {
+        view.dispatch({ effects: EditorView.scrollIntoView(pos, { y: 'center' }) });
+        return;
+    }
+    view.dispatch({ selection: { anchor: pos }, effects: EditorView.scrollIntoView(pos, { y: 'center' }) });
+    view.focus();
+}
+
+// Read mode gathers the footnotes in a section at the end; while editing the definitions stay in place
+function jumpToFootnote(view, number, referencePos) {
+    if (!view.state.facet(EditorView.editable)) {
+        view.dispatch({ effects: EditorView.scrollIntoView(view.state.doc.length, { y: 'end' }) });
+        return;
+    }
+    const definition = findFootnotes(view.state.doc.toString()).definitions.find(d => d.number === number);
+    // Inline footnotes have no definition: reveal their text where they are instead
+    revealPosition(view, definition ? definition.textFrom : referencePos);
+}
+
+function jumpToReference(view, number) {
+    const reference = findFootnotes(view.state.doc.toString()).references.find(r => r.number === number);
+    if (reference) revealPosition(view, reference.to);
+}
+
+/**
+ * A footnote reference (`[^label]` or `^[text]`) shown as its superscript number.
+ * Clicking it jumps to the footnote.
+ */
+export class FootnoteRefWidget extends WidgetType {
+    constructor(number) {
+        super();
+        this.number = number;
+    }
+
+    eq(other) {
+        return other.number === this.number;
+    }
+
+    toDOM(view) {
+        const el = document.createElement('sup');
+        el.className = 'cm-footnote-ref';
+        const link = document.createElement('a');
+        link.href = `#fn-${this.number}`;
+        link.textContent = String(this.number);
+        el.appendChild(link);
+        // Exports render the widget without an editor behind it, where the link does the jumping
+        if (!view) return el;
+
+        link.addEventListener('click', (e) => e.preventDefault());
+        el.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            jumpToFootnote(view, this.number, view.posAtDOM(el));
+        });
+        return el;
+    }
+}
+
+/**
+ * The `[^label]:` of a definition while editing, shown as the footnote's number.
+ * Clicking it jumps back to the first reference.
+ */
+export class FootnoteLabelWidget extends WidgetType {
+    constructor(number) {
+        super();
+        this.number = number;
+    }
+
+    eq(other) {
+        return other.number === this.number;
+    }
+
+    toDOM(view) {
+        const el = document.createElement('span');
+        el.className = 'cm-footnote-label';
+        el.textContent = `${this.number}.`;
+        el.title = 'Back to reference';
+        el.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            jumpToReference(view, this.number);
+        });
+        return el;
+    }
+}
+
+/**
+ * Read mode's list of footnotes at the end of the note, each with a link back to its reference.
+ */
+export class FootnotesSectionWidget extends WidgetType {
+    constructor(notes, renderNote) {
+        super();
+        this.notes = notes;
+        this.renderNote = renderNote;
+        this.key = JSON.stringify(notes.map(({ number, text, referenced }) => [number, text, referenced]));
+    }
+
+    eq(other) {
+        return other.key === this.key;
+    }
+
+    toDOM(view) {
+        const section = document.createElement('section');
+        section.className = 'cm-footnotes';
+        const list = document.createElement('ol');
+
+        for (const { number, text, referenced } of this.notes) {
+            const item = document.createElement('li');
+            item.id = `fn-${number}`;
+            const body = document.createElement('div');
+            body.className = 'cm-footnote-text';
+            body.textContent = text;
+            item.appendChild(body);
+            list.appendChild(item);
+
+            const back = document.createElement('span');
+            back.className = 'cm-footnote-backref';
+            back.textContent = '↩';
+            back.title = 'Back to reference';
+            back.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                jumpToReference(view, number);
+            });
+
+            this.renderNote(text).then(html => {
+                setNoteHtml(body, html);
+                // Keep the link on the last paragraph's line. Definitions nothing refers to have
+                // nowhere to go back to.
+                const last = body.lastElementChild?.tagName === 'P' ? body.lastElementChild : body;
+                if (referenced) last.append(' ', back);
+                view.requestMeasure();
+            });
+        }
+
+        section.appendChild(list);
+        return section;
+    }
+
+    ignoreEvent() { return false; }
+}
+
+/**
+ * Show a footnote's rendered text when hovering its reference.
+ */
+export function footnoteTooltip(renderNote) {
+    return hoverTooltip((view, pos, side) => {
+        const reference = findFootnotes(view.state.doc.toString()).references.find(r =>
+            (r.from < pos || (r.from === pos && side > 0)) && (pos < r.to || (pos === r.to && side < 0))
+        );
+        if (!reference) return null;
+        return {
+            pos: reference.from,
+            end: reference.to,
+            above: true,
+            create() {
+                const dom = document.createElement('div');
+                dom.className = 'cm-footnote-tooltip';
+                dom.textContent = reference.text;
+                renderNote(reference.text).then(html => setNoteHtml(dom, html));
+                return { dom };
+            },
+        };
+    });
+}
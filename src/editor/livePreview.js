@@ -4,6 +4,22 @@ import { MathWidget } from './mathWidget.js';
 import { HorizontalRuleWidget } from './hrWidget.js';
 import { ImageWidget } from './imageWidget.js';
 import { TableWidget } from './tableWidget.js';
+import { WikiLinkWidget } from './wikiLinkWidget.js';
+import { PropertiesWidget } from './propertiesWidget.js';
+import { TaskCheckboxWidget, taskStatus } from './taskWidget.js';
+import { MermaidWidget } from './mermaidWidget.js';
+import { CodeBlockWidget, parseCodeInfo } from './codeBlockWidget.js';
+import { FootnoteRefWidget, FootnoteLabelWidget, FootnotesSectionWidget, footnoteTooltip } from './footnoteWidget.js';
+import { CALLOUT_REGEX, calloutKind, calloutFolds, toggleCalloutFold, CalloutTitleWidget, CalloutFoldWidget } from './calloutWidget.js';
+import { WIKILINK_REGEX, wikilinkLabel, createWikilinkResolver } from '../utils/wikilinks.js';
+import { extractLinks } from '../utils/vaultIndex.js';
+import { parseFrontMatter } from '../utils/frontMatter.js';
+import { findInlineTags } from '../utils/tags.js';
+import { findFootnotes } from '../utils/footnotes.js';
+import { renderMarkdown } from '../utils/renderMarkdown.js';
+
+// `- [ ] task`, `1. [x] task`: group 1 is everything before the box, group 2 the mark inside it
+const TASK_ITEM_REGEX = /^(\s*(?:[-*+]|\d+[.)])[ \t]+)\[(.)\](?=\s|$)/;
 
 /**
  * Check if the cursor (or any selection) overlaps the range [from, to].
@@ -28,19 +44,54 @@ function cursorOnLine(state, from, to) {
     return false;
 }
 
+/**
+ * Nesting level of a list item (0 for a top-level item), counted from its list ancestors.
+ */
+function listIndent(node) {
+    let depth = 0;
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+        if (ancestor.name === 'BulletList' || ancestor.name === 'OrderedList') depth++;
+    }
+    return Math.max(0, depth - 1);
+}
+
+/**
+ * Render a footnote's markdown to HTML, for its hover preview and read mode's footnotes section.
+ */
+function footnoteRenderer(getAssetUrl, theme) {
+    return (text) => renderMarkdown(text, { loadImage: getAssetUrl, theme });
+}
+
 /**
  * The Live Preview plugin — hides markdown syntax when cursor is away
  * and renders styled content, KaTeX math widgets, and Image widgets.
  */
-function buildDecorations(view, getAssetUrl, editorMode) {
+function buildDecorations(view, getAssetUrl, editorMode, linkHandlers, theme) {
     const { state } = view;
     const decorations = [];
+    const doc = state.doc.toString();
+
+    // === FRONT MATTER ===
+    // The parser sees a leading `---` block as a horizontal rule and text, so it is detected
+    // separately, rendered as a properties table and skipped by every other rule
+    const frontMatter = parseFrontMatter(doc);
+    const frontMatterEnd = frontMatter ? frontMatter.to : 0;
+    // Bodies of folded callouts: [{ from, to }]
+    const foldedRanges = [];
+    if (frontMatter && (editorMode === 'read' || !cursorInRange(state, 0, frontMatterEnd))) {
+        decorations.push(
+            Decoration.replace({ widget: new PropertiesWidget(frontMatter.properties) }).range(0, frontMatterEnd)
+        );
+    }
 
     syntaxTree(state).iterate({
         enter(node) {
             const { type, from, to } = node;
             const name = type.name;
 
+            if (from < frontMatterEnd && to <= frontMatterEnd) return false;
+            if (foldedRanges.some(range => from >= range.from && to <= range.to)) return false;
+
             // === HEADINGS ===
             // ATXHeading1 through ATXHeading6
             if (name.startsWith('ATXHeading') && name.length === 11) {
@@ -134,6 +185,30 @@ function buildDecorations(view, getAssetUrl, editorMode) {
                 const startLine = state.doc.lineAt(from);
                 const endLine = state.doc.lineAt(to);
 
+                // A closed block is replaced by a rendered widget: the diagram for ```mermaid,
+                // highlighted code for anything else. Blocks inside quotes keep the plain styling,
+                // since their lines carry the quote markers.
+                const fence = startLine.text.match(/^([ \t]*)(`{3,}|~{3,})(.*)$/);
+                let inQuote = false;
+                for (let ancestor = node.node.parent; ancestor; ancestor = ancestor.parent) {
+                    if (ancestor.name === 'Blockquote') inQuote = true;
+                }
+                if (fence && !inQuote && endLine.number > startLine.number && endLine.text.trim().startsWith(fence[2])) {
+                    // Inside a list item the code is indented as far as its fence
+                    const lines = [];
+                    for (let i = startLine.number + 1; i < endLine.number; i++) {
+                        const text = state.doc.line(i).text;
+                        lines.push(text.slice(Math.min(fence[1].length, text.match(/^[ \t]*/)[0].length)));
+                    }
+                    const code = lines.join('\n');
+                    const info = fence[3].trim();
+                    const widget = parseCodeInfo(info).language.toLowerCase() === 'mermaid' && code.trim()
+                        ? new MermaidWidget(code, theme)
+                        : new CodeBlockWidget(code, info, theme);
+                    decorations.push(Decoration.replace({ widget, block: true }).range(startLine.from, endLine.to));
+                    return false;
+                }
+
                 // Hide opening line completely if it starts with ```
                 if (startLine.text.trim().startsWith('```')) {
                     decorations.push(Decoration.replace({}).range(startLine.from, startLine.to));
@@ -185,21 +260,66 @@ function buildDecorations(view, getAssetUrl, editorMode) {
 
             // === BLOCKQUOTE ===
             if (name === 'Blockquote') {
+                // A quote nested in another one has a "> " marker per level
+                let depth = 1;
+                for (let ancestor = node.node.parent; ancestor; ancestor = ancestor.parent) {
+                    if (ancestor.name === 'Blockquote') depth++;
+                }
+                const prefixRegex = new RegExp(`^(?:[ \\t]*>[ \\t]?){${depth}}`);
+                // Hide this quote's markers, except on lines of a deeper quote, which hides its own
+                const hidePrefix = (line) => {
+                    const prefix = line.text.match(prefixRegex);
+                    if (!prefix || /^[ \t]*>/.test(line.text.slice(prefix[0].length))) return;
+                    decorations.push(Decoration.replace({}).range(line.from, line.from + prefix[0].length));
+                };
+
+                const startLine = state.doc.lineAt(from);
+                const endLine = state.doc.lineAt(to);
+                const firstPrefix = startLine.text.match(prefixRegex);
+                const callout = firstPrefix && startLine.text.slice(firstPrefix[0].length).match(CALLOUT_REGEX);
+
+                // === CALLOUTS ===
+                // `> [!type] Title` renders as a colored box headed by the type's icon. The box keeps its
+                // look while the cursor is inside; only the markers are revealed for editing then.
+                if (callout) {
+                    const [, type, foldMarker, title] = callout;
+                    const editing = editorMode !== 'read' && cursorInRange(state, from, to);
+                    const toggled = state.field(calloutFolds, false)?.has(startLine.from);
+                    const folded = !!foldMarker && !editing && endLine.number > startLine.number && (foldMarker === '-') !== !!toggled;
+                    const lastLine = folded ? startLine.number : endLine.number;
+                    const style = `--callout-color: ${calloutKind(type).color}; --callout-depth: ${depth}`;
+
+                    for (let i = startLine.number; i <= lastLine; i++) {
+                        const line = state.doc.line(i);
+                        const classes = ['cm-callout'];
+                        if (i === startLine.number) classes.push('cm-callout-title');
+                        if (i === lastLine) classes.push('cm-callout-end');
+                        decorations.push(Decoration.line({ class: classes.join(' '), attributes: { style } }).range(line.from));
+                        if (!editing && i > startLine.number) hidePrefix(line);
+                    }
+
+                    if (!editing) {
+                        const titleFrom = startLine.to - title.length;
+                        decorations.push(
+                            Decoration.replace({ widget: new CalloutTitleWidget(type, !title.trim()) }).range(startLine.from, titleFrom)
+                        );
+                        if (foldMarker) {
+                            decorations.push(Decoration.widget({ widget: new CalloutFoldWidget(folded), side: 1 }).range(startLine.to));
+                        }
+                        if (folded) {
+                            decorations.push(Decoration.replace({}).range(startLine.to, endLine.to));
+                            foldedRanges.push({ from: startLine.to, to: endLine.to });
+                        }
+                    }
+                    return; // Let children (emphasis, nested callouts, etc.) still be processed
+                }
+
                 if (editorMode !== 'read' && cursorOnLine(state, from, to)) return;
 
                 // Apply blockquote styling to each line in the quote
-                const startLine = state.doc.lineAt(from).number;
-                const endLine = state.doc.lineAt(to).number;
-
-                for (let i = startLine; i <= endLine; i++) {
+                for (let i = startLine.number; i <= endLine.number; i++) {
                     const line = state.doc.line(i);
-                    const lineText = line.text;
-                    const quotePrefix = lineText.match(/^>\s?/);
-                    if (quotePrefix) {
-                        // Hide "> " prefix
-                        decorations.push(Decoration.replace({}).range(line.from, line.from + quotePrefix[0].length));
-                    }
-                    // Style the line
+                    hidePrefix(line);
                     decorations.push(
                         Decoration.line({ class: 'cm-live-blockquote' }).range(line.from)
                     );
@@ -208,21 +328,43 @@ function buildDecorations(view, getAssetUrl, editorMode) {
                 // Don't return false — let children (emphasis, code, etc.) still be processed
             }
 
+            // === TASK ITEMS ===
+            // The box becomes a checkbox widget that stays clickable while the cursor is elsewhere
+            // on the line, and in read mode too. Done and cancelled tasks are struck through.
+            const task = name === 'ListItem' && state.doc.lineAt(from).text.match(TASK_ITEM_REGEX);
+            if (task) {
+                const line = state.doc.lineAt(from);
+                const boxFrom = line.from + task[1].length;
+                // The space after the box goes with it
+                const boxTo = boxFrom + (line.text[task[0].length] === ' ' ? 4 : 3);
+                const status = taskStatus(task[2]);
+                const editing = editorMode !== 'read' && cursorOnLine(state, from, to);
+
+                if (!editing) {
+                    const isOrdered = node.node.parent?.name === 'OrderedList';
+                    const classes = ['cm-live-list-item', 'cm-live-task'];
+                    if (isOrdered) classes.push('cm-live-list-ordered');
+                    if (status === 'done' || status === 'cancelled') classes.push('cm-live-task-done');
+                    const attributes = { style: `--list-indent: ${listIndent(node.node)}` };
+                    if (isOrdered) attributes['data-marker'] = task[1].trim().replace(/[.)]$/, '.');
+
+                    decorations.push(Decoration.replace({}).range(line.from, boxFrom));
+                    decorations.push(Decoration.line({ class: classes.join(' '), attributes }).range(line.from));
+                }
+                if (!editing || !cursorInRange(state, boxFrom, boxTo)) {
+                    decorations.push(
+                        Decoration.replace({ widget: new TaskCheckboxWidget(task[2]) }).range(boxFrom, boxTo)
+                    );
+                }
+                return; // Let children (emphasis, code, etc.) still be processed
+            }
+
             // === LIST ITEMS ===
             if (name === 'ListItem') {
                 const line = state.doc.lineAt(from);
                 if (editorMode !== 'read' && cursorOnLine(state, from, to)) return;
 
-                // Calculate nesting depth by counting BulletList/OrderedList ancestors
-                let depth = 0;
-                let ancestor = node.node.parent;
-                while (ancestor) {
-                    if (ancestor.name === 'BulletList' || ancestor.name === 'OrderedList') {
-                        depth++;
-                    }
-                    ancestor = ancestor.parent;
-                }
-                const indent = Math.max(0, depth - 1);
+                const indent = listIndent(node.node);
 
                 // Determine if this is an ordered or unordered list item
                 const isOrdered = node.node.parent?.name === 'OrderedList';
@@ -271,7 +413,6 @@ function buildDecorations(view, getAssetUrl, editorMode) {
     });
 
     // === MATH (LaTeX) — regex-based since CM6 markdown parser doesn't natively parse $ ===
-    const doc = state.doc.toString();
 
     // Block math: $$...$$
     const blockMathRegex = /\$\$([\s\S]+?)\$\$/g;
@@ -279,6 +420,7 @@ function buildDecorations(view, getAssetUrl, editorMode) {
     while ((match = blockMathRegex.exec(doc)) !== null) {
         const from = match.index;
         const to = from + match[0].length;
+        if (from < frontMatterEnd) continue;
         const latex = match[1].trim();
 
         if (editorMode !== 'read' && cursorInRange(state, from, to)) continue;
@@ -293,6 +435,7 @@ function buildDecorations(view, getAssetUrl, editorMode) {
     while ((match = inlineMathRegex.exec(doc)) !== null) {
         const from = match.index;
         const to = from + match[0].length;
+        if (from < frontMatterEnd) continue;
         const latex = match[1];
 
         // Skip if overlapping with a block math range
@@ -320,6 +463,7 @@ function buildDecorations(view, getAssetUrl, editorMode) {
     while ((match = highlightRegex.exec(doc)) !== null) {
         const from = match.index;
         const to = from + match[0].length;
+        if (from < frontMatterEnd) continue;
         const text = match[1];
 
         // Skip if overlaps with a math block or code block (simplified code checks to avoid parsing overlap)
@@ -341,6 +485,7 @@ function buildDecorations(view, getAssetUrl, editorMode) {
     while ((match = imageRegex.exec(doc)) !== null) {
         const from = match.index;
         const to = from + match[0].length;
+        if (from < frontMatterEnd) continue;
         const filename = match[1].trim();
         const width = match[2] ? parseInt(match[2].trim(), 10) : null;
 
@@ -351,19 +496,73 @@ function buildDecorations(view, getAssetUrl, editorMode) {
         );
     }
 
+    // === WIKILINKS ===
+    // Matches: [[Note]], [[folder/Note]], [[Note#Heading]] or [[Note|alias]] (embeds are handled above).
+    // Only the links extractLinks reports count, so wikilinks in code stay as typed, as they do for backlinks.
+    if (linkHandlers) {
+        const linkStarts = new Set(extractLinks(doc).filter(link => link.kind === 'wiki').map(link => link.from));
+        const wikilinkRegex = new RegExp(WIKILINK_REGEX.source, 'g');
+        while ((match = wikilinkRegex.exec(doc)) !== null) {
+            const from = match.index;
+            const to = from + match[0].length;
+            if (from < frontMatterEnd || !linkStarts.has(from)) continue;
+            const target = match[1].trim();
+
+            if (editorMode !== 'read' && cursorInRange(state, from, to)) continue;
+
+            const resolved = !!state.field(linkTargets).resolve(target, linkHandlers.sourcePath());
+            const label = wikilinkLabel(target, match[2], match[3]);
+            decorations.push(
+                Decoration.replace({ widget: new WikiLinkWidget(target, label, resolved, linkHandlers.open) }).range(from, to)
+            );
+        }
+    }
+
+    // === TAGS ===
+    // #tags stay as typed and are styled as pills (front matter and code are already skipped)
+    for (const { from, to } of findInlineTags(doc)) {
+        decorations.push(Decoration.mark({ class: 'cm-tag' }).range(from, to));
+    }
+
+    // === FOOTNOTES ===
+    // References show as superscript numbers. Read mode gathers the definitions in a section at
+    // the end of the note; while editing they stay in place, labelled with their number.
+    const footnotes = findFootnotes(doc);
+    for (const { from, to, number } of footnotes.references) {
+        if (editorMode !== 'read' && cursorInRange(state, from, to)) continue;
+        decorations.push(Decoration.replace({ widget: new FootnoteRefWidget(number) }).range(from, to));
+    }
+    for (const { from, to, textFrom, number } of footnotes.definitions) {
+        if (editorMode === 'read') {
+            decorations.push(Decoration.replace({ block: true }).range(from, to));
+        } else if (!cursorOnLine(state, from, to)) {
+            decorations.push(Decoration.replace({ widget: new FootnoteLabelWidget(number) }).range(from, textFrom));
+        }
+    }
+    if (editorMode === 'read' && footnotes.notes.length) {
+        decorations.push(
+            Decoration.widget({
+                widget: new FootnotesSectionWidget(footnotes.notes, footnoteRenderer(getAssetUrl, theme)),
+                block: true,
+                side: 1,
+            }).range(state.doc.length)
+        );
+    }
+
     // === TABLES (GFM-style) ===
     // Match consecutive lines starting and ending with | that include a separator row
     const tableRegex = /(^\|.+\|[ \t]*\n)(^\|[\s:|-]+\|[ \t]*\n)((?:^\|.+\|[ \t]*\n?)+)/gm;
     while ((match = tableRegex.exec(doc)) !== null) {
         const from = match.index;
         const to = from + match[0].length;
+        if (from < frontMatterEnd) continue;
         // Trim trailing newline from the range to avoid replacing it
         const trimmedTo = doc[to - 1] === '\n' ? to - 1 : to;
 
         if (editorMode !== 'read' && cursorInRange(state, from, trimmedTo)) continue;
 
         decorations.push(
-            Decoration.replace({ widget: new TableWidget(match[0].trim()) }).range(from, trimmedTo)
+            Decoration.replace({ widget: new TableWidget(doc.slice(from, trimmedTo), editorMode !== 'read') }).range(from, trimmedTo)
         );
     }
 
@@ -376,19 +575,41 @@ function buildDecorations(view, getAssetUrl, editorMode) {
  * to replace ranges that span across line breaks (block math, images, code blocks).
  * Decorations are computed in update() and passively read via from() to avoid
  * viewport destabilization loops.
+ * `linkHandlers` ({ sourcePath(), open(target) }) connects [[wikilinks]] to the vault; the files
+ * they resolve against are set with the setLinkTargets effect.
+ * `theme` ('light' or 'dark') picks the palette Mermaid diagrams are drawn with.
  */
-import { StateField } from '@codemirror/state';
+import { StateField, StateEffect } from '@codemirror/state';
+
+/**
+ * Replaces the vault files [[wikilinks]] resolve against. Sent as an effect rather than passed to
+ * createLivePreviewPlugin, so a changing file list doesn't rebuild the whole extension.
+ */
+export const setLinkTargets = StateEffect.define();
+
+const linkTargets = StateField.define({
+    create: () => ({ files: null, resolve: () => null }),
+    update(value, tr) {
+        for (const effect of tr.effects) {
+            if (effect.is(setLinkTargets) && effect.value !== value.files) {
+                value = { files: effect.value, resolve: createWikilinkResolver(effect.value) };
+            }
+        }
+        return value;
+    },
+});
 
-export function createLivePreviewPlugin(getAssetUrl, editorMode) {
+export function createLivePreviewPlugin(getAssetUrl, editorMode, linkHandlers, theme) {
     const field = StateField.define({
         create(state) {
             const viewShim = { state };
-            return buildDecorations(viewShim, getAssetUrl, editorMode);
+            return buildDecorations(viewShim, getAssetUrl, editorMode, linkHandlers, theme);
         },
         update(decorations, tr) {
-            if (tr.docChanged || tr.selection) {
+            const targetsChanged = tr.startState.field(linkTargets) !== tr.state.field(linkTargets);
+            if (tr.docChanged || tr.selection || targetsChanged || tr.effects.some(e => e.is(toggleCalloutFold))) {
                 const viewShim = { state: tr.state };
-                return buildDecorations(viewShim, getAssetUrl, editorMode);
+                return buildDecorations(viewShim, getAssetUrl, editorMode, linkHandlers, theme);
             }
             return decorations;
         },
@@ -396,6 +617,6 @@ export function createLivePreviewPlugin(getAssetUrl, editorMode) {
             return EditorView.decorations.from(field);
         }
     });
-    return field;
+    return [calloutFolds, linkTargets, field, footnoteTooltip(footnoteRenderer(getAssetUrl, theme))];
 }
 
@@ -1,6 +1,26 @@
 import { WidgetType } from '@codemirror/view';
 import katex from 'katex';
 
+/**
+ * Render LaTeX into a new element with KaTeX. `output` is KaTeX's output mode: 'html' needs
+ * KaTeX's stylesheet and fonts, while 'mathml' renders on its own (used for exported notes).
+ */
+export function renderMath(latex, displayMode = false, output = 'html') {
+    const el = document.createElement(displayMode ? 'div' : 'span');
+    el.className = displayMode ? 'cm-math-widget cm-math-block' : 'cm-math-widget cm-math-inline';
+    try {
+        katex.render(latex, el, {
+            displayMode,
+            throwOnError: false,
+            output,
+        });
+    } catch {
+        el.textContent = latex;
+        el.classList.add('cm-math-error');
+    }
+    return el;
+}
+
 /**
  * A CodeMirror 6 widget that renders LaTeX math via KaTeX.
  */
@@ -16,19 +36,7 @@ export class MathWidget extends WidgetType {
     }
 
     toDOM() {
-        const el = document.createElement(this.displayMode ? 'div' : 'span');
-        el.className = this.displayMode ? 'cm-math-widget cm-math-block' : 'cm-math-widget cm-math-inline';
-        try {
-            katex.render(this.latex, el, {
-                displayMode: this.displayMode,
-                throwOnError: false,
-                output: 'html',
-            });
-        } catch (e) {
-            el.textContent = this.latex;
-            el.classList.add('cm-math-error');
-        }
-        return el;
+        return renderMath(this.latex, this.displayMode);
     }
 
     ignoreEvent() {
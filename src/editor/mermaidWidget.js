@@ -0,0 +1,116 @@
+import { WidgetType } from '@codemirror/view';
+
+/**
+ * Mermaid diagrams for ```mermaid code blocks. The renderer is bundled with the app but loaded
+ * on first use, since it is far larger than everything else the editor needs.
+ */
+
+let mermaidPromise = null;
+// Mermaid keeps its configuration globally, so diagrams are rendered one at a time
+let queue = Promise.resolve();
+let nextId = 0;
+
+// Results by theme and source: { svg } or { error }. Decorations are rebuilt on every
+// selection change, and re-rendering unchanged diagrams would make them flicker.
+const renderCache = new Map();
+const CACHE_LIMIT = 50;
+
+function cacheKey(source, theme) {
+    return `${theme}\n${source}`;
+}
+
+function loadMermaid() {
+    if (!mermaidPromise) mermaidPromise = import('mermaid').then(module => module.default);
+    return mermaidPromise;
+}
+
+async function renderDiagram(source, theme) {
+    const id = `cm-mermaid-${nextId++}`;
+    try {
+        const mermaid = await loadMermaid();
+        mermaid.initialize({
+            startOnLoad: false,
+            securityLevel: 'strict',
+            theme: theme === 'light' ? 'default' : 'dark',
+        });
+        // parse() reports syntax errors without leaving mermaid's error graphic in the page
+        await mermaid.parse(source);
+        const { svg } = await mermaid.render(id, source);
+        return { svg };
+    } catch (err) {
+        document.getElementById(`d${id}`)?.remove();
+        return { error: String(err?.message || err).trim() };
+    }
+}
+
+/**
+ * Render a diagram to SVG markup for the given app theme ('light' or 'dark').
+ * Resolves to { svg } or, when the source isn't valid Mermaid, { error } with the message.
+ */
+export function renderMermaid(source, theme) {
+    const key = cacheKey(source, theme);
+    if (renderCache.has(key)) return Promise.resolve(renderCache.get(key));
+
+    const result = queue.then(() => renderDiagram(source, theme));
+    queue = result;
+    return result.then(value => {
+        renderCache.set(key, value);
+        if (renderCache.size > CACHE_LIMIT) renderCache.delete(renderCache.keys().next().value);
+        return value;
+    });
+}
+
+function fillDiagram(el, { svg, error }) {
+    el.classList.remove('is-loading');
+    el.replaceChildren();
+    if (svg) {
+        el.innerHTML = svg;
+        return;
+    }
+    el.classList.add('cm-mermaid-error');
+    const title = document.createElement('div');
+    title.className = 'cm-mermaid-error-title';
+    title.textContent = 'Mermaid syntax error';
+    const message = document.createElement('pre');
+    message.textContent = error;
+    el.append(title, message);
+}
+
+/**
+ * A rendered Mermaid diagram standing in for its code block. Diagrams already rendered show up
+ * immediately; others show a placeholder until the renderer is done.
+ */
+export class MermaidWidget extends WidgetType {
+    constructor(source, theme) {
+        super();
+        this.source = source;
+        this.theme = theme;
+    }
+
+    eq(other) {
+        return other.source === this.source && other.theme === this.theme;
+    }
+
+    toDOM(view) {
+        const el = document.createElement('div');
+        el.className = 'cm-mermaid-widget';
+        const cached = renderCache.get(cacheKey(this.source, this.theme));
+        if (cached) {
+            fillDiagram(el, cached);
+            return el;
+        }
+
+        el.classList.add('is-loading');
+        el.textContent = 'Rendering diagram…';
+        renderMermaid(this.source, this.theme).then(result => {
+            fillDiagram(el, result);
+            // The diagram is usually much taller than the placeholder
+            view?.requestMeasure();
+        });
+        return el;
+    }
+
+    ignoreEvent() {
+        return false;
+    }
+}
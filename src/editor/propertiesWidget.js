@@ -0,0 +1,65 @@
+import { WidgetType } from '@codemirror/view';
+
+/**
+ * Renders a note's front matter (see utils/frontMatter.js) as a compact table of its properties.
+ */
+export class PropertiesWidget extends WidgetType {
+    constructor(properties) {
+        super();
+        this.properties = properties;
+        this.key = JSON.stringify(properties.map(({ key, type, value }) => [key, type, value]));
+    }
+
+    eq(other) {
+        return other.key === this.key;
+    }
+
+    toDOM() {
+        const container = document.createElement('div');
+        container.className = 'cm-properties-widget';
+
+        if (!this.properties.length) {
+            container.classList.add('is-empty');
+            container.textContent = 'No properties';
+            return container;
+        }
+
+        const table = document.createElement('table');
+        for (const { key, type, value } of this.properties) {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.textContent = key;
+            const cell = document.createElement('td');
+            cell.className = `cm-property-value is-${type}`;
+
+            if (type === 'list') {
+                for (const item of value) {
+                    const chip = document.createElement('span');
+                    chip.className = /^tags?$/i.test(key) ? 'cm-property-chip cm-tag' : 'cm-property-chip';
+                    chip.textContent = item;
+                    cell.appendChild(chip);
+                }
+            } else if (type === 'checkbox') {
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.disabled = true;
+                // The attribute rather than the property, so the state survives outerHTML (exports)
+                if (value) box.setAttribute('checked', '');
+                cell.appendChild(box);
+            } else {
+                cell.textContent = value;
+            }
+            if (type !== 'checkbox' && !value.length) {
+                cell.classList.add('is-empty');
+                cell.textContent = 'Empty';
+            }
+
+            row.append(name, cell);
+            table.appendChild(row);
+        }
+        container.appendChild(table);
+        return container;
+    }
+
+    ignoreEvent() { return false; }
+}
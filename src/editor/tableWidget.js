@@ -1,87 +1,292 @@
 import { WidgetType } from '@codemirror/view';
+import { isolateHistory } from '@codemirror/commands';
+import {
+    parseTable, formatTable, toCellText, setCell, insertRow, deleteRow,
+    insertColumn, deleteColumn, moveColumn, setAlignment,
+} from '../utils/markdownTable.js';
+
+// The open right-click menu of an editable table: { container, close }
+let openMenu = null;
+
+function closeTableMenu() {
+    openMenu?.close();
+    openMenu = null;
+}
+
+function cellAt(container, row, col) {
+    return container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+}
+
+function focusCell(container, { row, col }) {
+    const cell = cellAt(container, row, col);
+    if (!cell) return;
+    cell.focus();
+    // Caret at the end of the cell's text
+    const range = document.createRange();
+    range.selectNodeContents(cell);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+// The widget's table, including what is being typed into the focused cell
+function editedTable(container) {
+    const table = parseTable(container.widget.rawTable);
+    const cell = container.querySelector('[data-row]:focus');
+    if (!cell) return table;
+    return setCell(table, Number(cell.dataset.row), Number(cell.dataset.col), toCellText(cell.textContent));
+}
+
+/**
+ * Replace the table's markdown with `table`, re-aligned, as a single undoable change. `focus`
+ * ({ row, col }) is the cell to continue editing in once the widget has been redrawn.
+ */
+function writeTable(view, container, table, focus) {
+    // The widget may have gone since, e.g. when the cursor moved into the table's markdown
+    if (!container.isConnected) return;
+    const { rawTable } = container.widget;
+    const from = view.posAtDOM(container);
+    if (view.state.doc.sliceString(from, from + rawTable.length) !== rawTable) return;
+
+    const text = formatTable(table);
+    if (text === rawTable) {
+        if (focus) focusCell(container, focus);
+        return;
+    }
+    container.pendingFocus = focus;
+    view.dispatch({
+        changes: { from, to: from + rawTable.length, insert: text },
+        annotations: isolateHistory.of('full'),
+    });
+}
+
+function openTableMenu(view, container, row, col, x, y) {
+    closeTableMenu();
+    const { rows, align } = parseTable(container.widget.rawTable);
+    const menu = document.createElement('div');
+    menu.className = 'tab-menu cm-table-menu';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+
+    const item = (label, enabled, apply, focus) => {
+        const button = document.createElement('button');
+        button.className = 'tab-menu-item';
+        button.textContent = label;
+        button.disabled = !enabled;
+        // Keep the cell focused, so what is typed in it is written along with the change
+        button.addEventListener('mousedown', (e) => e.preventDefault());
+        button.addEventListener('click', () => {
+            closeTableMenu();
+            writeTable(view, container, apply(editedTable(container)), focus);
+        });
+        menu.appendChild(button);
+    };
+    const separator = () => {
+        const line = document.createElement('div');
+        line.className = 'tab-menu-separator';
+        menu.appendChild(line);
+    };
+
+    const columns = align.length;
+    // The header stays the first row, and a table keeps at least one body row
+    item('Insert row above', row > 0, t => insertRow(t, row), { row, col });
+    item('Insert row below', true, t => insertRow(t, row + 1), { row: row + 1, col });
+    item('Delete row', row > 0 && rows.length > 2, t => deleteRow(t, row), { row: Math.min(row, rows.length - 2), col });
+    separator();
+    item('Insert column left', true, t => insertColumn(t, col), { row, col });
+    item('Insert column right', true, t => insertColumn(t, col + 1), { row, col: col + 1 });
+    item('Delete column', columns > 1, t => deleteColumn(t, col), { row, col: Math.min(col, columns - 2) });
+    item('Move column left', col > 0, t => moveColumn(t, col, col - 1), { row, col: col - 1 });
+    item('Move column right', col < columns - 1, t => moveColumn(t, col, col + 1), { row, col: col + 1 });
+    separator();
+    // Choosing the current alignment again goes back to the default
+    for (const [value, label] of [['left', 'Align left'], ['center', 'Align center'], ['right', 'Align right']]) {
+        const active = align[col] === value;
+        item(active ? `${label} ✓` : label, true, t => setAlignment(t, col, active ? null : value), { row, col });
+    }
+
+    const dismiss = (e) => {
+        if (e.type === 'keydown' ? e.key === 'Escape' : !menu.contains(e.target)) closeTableMenu();
+    };
+    document.addEventListener('mousedown', dismiss, true);
+    document.addEventListener('keydown', dismiss, true);
+    openMenu = {
+        container,
+        close() {
+            menu.remove();
+            document.removeEventListener('mousedown', dismiss, true);
+            document.removeEventListener('keydown', dismiss, true);
+        },
+    };
+    document.body.appendChild(menu);
+}
 
 /**
  * Parses a raw markdown table string and renders it as an HTML <table> element.
+ * When `editable`, cells can be edited in place: Tab/Shift+Tab and the arrow keys move between
+ * cells, Enter adds a row, and right-clicking a cell opens a menu to insert, delete and move
+ * rows and columns or set a column's alignment. Each change rewrites the whole table.
  */
 export class TableWidget extends WidgetType {
-    constructor(rawTable) {
+    constructor(rawTable, editable = false) {
         super();
         this.rawTable = rawTable;
+        this.editableCells = editable;
     }
 
     eq(other) {
-        return other.rawTable === this.rawTable;
+        return other.rawTable === this.rawTable && other.editableCells === this.editableCells;
     }
 
-    toDOM() {
+    toDOM(view) {
         const container = document.createElement('div');
         container.className = 'cm-table-widget';
+        container.widget = this;
+        this.render(container, view);
+        return container;
+    }
+
+    // Redraw in place after an edit, so the cell being edited can keep the focus
+    updateDOM(dom, view) {
+        dom.widget = this;
+        this.render(dom, view);
+        return true;
+    }
 
+    render(container, view) {
         const lines = this.rawTable.split('\n').filter(l => l.trim().length > 0);
         if (lines.length < 2) {
             container.textContent = this.rawTable;
-            return container;
+            return;
         }
 
-        const parseRow = (line) => {
-            // Split by | but ignore leading/trailing empty cells from outer pipes
-            const cells = line.split('|');
-            // Trim the first and last element if they are empty (from leading/trailing |)
-            if (cells.length > 0 && cells[0].trim() === '') cells.shift();
-            if (cells.length > 0 && cells[cells.length - 1].trim() === '') cells.pop();
-            return cells.map(c => c.trim());
-        };
-
-        // Detect separator row (all cells match /^:?-+:?$/)
-        const isSeparator = (line) => {
-            const cells = parseRow(line);
-            return cells.length > 0 && cells.every(c => /^:?-{1,}:?$/.test(c));
-        };
+        const { rows, align } = parseTable(this.rawTable);
+        const editable = this.editableCells && view;
+        container.classList.toggle('is-editable', !!editable);
 
         const table = document.createElement('table');
         const thead = document.createElement('thead');
         const tbody = document.createElement('tbody');
 
-        let headerParsed = false;
-        let separatorFound = false;
+        rows.forEach((cells, row) => {
+            const tr = document.createElement('tr');
+            cells.forEach((cellText, col) => {
+                const cell = document.createElement(row === 0 ? 'th' : 'td');
+                cell.innerHTML = this.renderInlineMarkdown(cellText.replace(/\\\|/g, '|'));
+                if (align[col]) cell.style.textAlign = align[col];
+                if (editable) this.makeEditable(cell, container, view, row, col, cellText);
+                tr.appendChild(cell);
+            });
+            (row === 0 ? thead : tbody).appendChild(tr);
+        });
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
+        table.appendChild(thead);
+        table.appendChild(tbody);
 
-            if (!separatorFound && isSeparator(line)) {
-                separatorFound = true;
-                continue; // Skip the separator row
-            }
+        // Replacing the cells blurs the focused one; that is not an edit to write back
+        container.rendering = true;
+        container.replaceChildren(table);
+        container.rendering = false;
 
-            const cells = parseRow(line);
-            const tr = document.createElement('tr');
+        if (container.pendingFocus) {
+            focusCell(container, container.pendingFocus);
+            container.pendingFocus = null;
+        }
+    }
 
-            for (const cellText of cells) {
-                const cell = document.createElement(!headerParsed ? 'th' : 'td');
-                cell.innerHTML = this.renderInlineMarkdown(cellText);
-                tr.appendChild(cell);
+    makeEditable(cell, container, view, row, col, cellText) {
+        cell.contentEditable = 'true';
+        cell.dataset.row = row;
+        cell.dataset.col = col;
+
+        // The cell shows its markdown while being edited
+        cell.addEventListener('focus', () => {
+            cell.textContent = cellText;
+        });
+        cell.addEventListener('blur', (e) => {
+            if (container.rendering) return;
+            const text = toCellText(cell.textContent);
+            if (text === cellText) {
+                cell.innerHTML = this.renderInlineMarkdown(cellText.replace(/\\\|/g, '|'));
+                return;
             }
+            // Carry on in the cell that was clicked, if it is in this table
+            const next = e.relatedTarget && container.contains(e.relatedTarget) && e.relatedTarget.dataset.row !== undefined
+                ? { row: Number(e.relatedTarget.dataset.row), col: Number(e.relatedTarget.dataset.col) }
+                : null;
+            // Outside the event, since the blur may come from an editor update in progress
+            setTimeout(() => {
+                writeTable(view, container, setCell(parseTable(container.widget.rawTable), row, col, text), next);
+            });
+        });
+
+        cell.addEventListener('keydown', (e) => {
+            const { rows, align } = parseTable(container.widget.rawTable);
+            const lastRow = rows.length - 1;
+            const lastCol = align.length - 1;
+            let target = null;
+            let table = null;
 
-            if (!headerParsed) {
-                thead.appendChild(tr);
-                if (separatorFound) headerParsed = true;
+            if (e.key === 'Tab' && !e.shiftKey) {
+                if (col < lastCol) target = { row, col: col + 1 };
+                else if (row < lastRow) target = { row: row + 1, col: 0 };
+                else {
+                    // Tabbing out of the last cell adds a row
+                    table = insertRow(editedTable(container), row + 1);
+                    target = { row: row + 1, col: 0 };
+                }
+            } else if (e.key === 'Tab') {
+                if (col > 0) target = { row, col: col - 1 };
+                else if (row > 0) target = { row: row - 1, col: lastCol };
+                else target = { row, col };
+            } else if (e.key === 'Enter') {
+                table = insertRow(editedTable(container), row + 1);
+                target = { row: row + 1, col: 0 };
+            } else if (e.key === 'ArrowUp' && row > 0) {
+                target = { row: row - 1, col };
+            } else if (e.key === 'ArrowDown' && row < lastRow) {
+                target = { row: row + 1, col };
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                cell.blur();
+                view.focus();
+                return;
             } else {
-                tbody.appendChild(tr);
+                return;
             }
-        }
 
-        table.appendChild(thead);
-        table.appendChild(tbody);
-        container.appendChild(table);
+            e.preventDefault();
+            writeTable(view, container, table || editedTable(container), target);
+        });
 
-        return container;
+        // Pasted text goes in as a single line of plain text
+        cell.addEventListener('paste', (e) => {
+            e.preventDefault();
+            const text = e.clipboardData.getData('text/plain').replace(/\r?\n/g, ' ');
+            document.execCommand('insertText', false, text);
+        });
+
+        cell.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            if (document.activeElement !== cell) cell.focus();
+            openTableMenu(view, container, row, col, e.clientX, e.clientY);
+        });
+    }
+
+    destroy(dom) {
+        if (openMenu?.container === dom) closeTableMenu();
     }
 
     /**
-     * Minimal inline markdown renderer for cell contents: bold, italic, bold+italic, code
+     * Minimal inline markdown renderer for cell contents: bold, italic, bold+italic, code.
+     * HTML typed into a cell is shown as text.
      */
     renderInlineMarkdown(text) {
         return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
             // Bold+Italic: ***text*** or ___text___
             .replace(/\*{3}(.+?)\*{3}/g, '<strong><em>$1</em></strong>')
             // Bold: **text** or __text__
@@ -0,0 +1,51 @@
+import { WidgetType } from '@codemirror/view';
+
+const TASK_STATUSES = { ' ': 'todo', x: 'done', X: 'done', '-': 'cancelled', '>': 'deferred' };
+const TASK_LABELS = { todo: 'To do', done: 'Done', cancelled: 'Cancelled', deferred: 'Deferred' };
+
+/**
+ * What the character between a task's brackets means: 'todo', 'done', 'cancelled', 'deferred',
+ * or 'custom' for any other mark (shown as the character itself).
+ */
+export function taskStatus(mark) {
+    return TASK_STATUSES[mark] || 'custom';
+}
+
+/**
+ * The checkbox of a `- [ ]` task item. Clicking it checks an open task and clears any other
+ * mark, by editing the document directly so it also works while the editor is read-only.
+ */
+export class TaskCheckboxWidget extends WidgetType {
+    constructor(mark) {
+        super();
+        this.mark = mark;
+    }
+
+    eq(other) {
+        return other.mark === this.mark;
+    }
+
+    toDOM(view) {
+        const status = taskStatus(this.mark);
+        const el = document.createElement('span');
+        el.className = `cm-task-checkbox is-${status}`;
+        el.setAttribute('data-task', this.mark);
+        el.setAttribute('role', 'checkbox');
+        el.setAttribute('aria-checked', status === 'done' ? 'true' : status === 'todo' ? 'false' : 'mixed');
+        el.title = TASK_LABELS[status] || `[${this.mark}]`;
+        // Exports render the widget without an editor behind it
+        if (!view) return el;
+
+        el.addEventListener('mousedown', (e) => {
+            // Keep CodeMirror from moving the cursor onto the line and revealing the raw brackets
+            e.preventDefault();
+            e.stopPropagation();
+            const pos = view.posAtDOM(el);
+            if (!/^\[.\]$/.test(view.state.doc.sliceString(pos, pos + 3))) return;
+            view.dispatch({
+                changes: { from: pos + 1, to: pos + 2, insert: status === 'todo' ? 'x' : ' ' },
+            });
+        });
+        return el;
+    }
+}
@@ -0,0 +1,37 @@
+import { WidgetType } from '@codemirror/view';
+
+/**
+ * Renders a [[wikilink]] as a clickable internal link.
+ * Unresolved targets get a distinct style; clicking them offers to create the note.
+ */
+export class WikiLinkWidget extends WidgetType {
+    constructor(target, label, resolved, onOpen) {
+        super();
+        this.target = target;
+        this.label = label;
+        this.resolved = resolved;
+        this.onOpen = onOpen;
+    }
+
+    eq(other) {
+        return (
+            other.target === this.target &&
+            other.label === this.label &&
+            other.resolved === this.resolved
+        );
+    }
+
+    toDOM() {
+        const el = document.createElement('span');
+        el.className = this.resolved ? 'cm-wikilink' : 'cm-wikilink is-unresolved';
+        el.textContent = this.label;
+        el.title = this.resolved ? this.target : `${this.target} (not created yet — click to create)`;
+        el.addEventListener('mousedown', (e) => {
+            // Stop CodeMirror from moving the cursor into the link before we navigate away
+            e.preventDefault();
+            e.stopPropagation();
+            this.onOpen(this.target);
+        });
+        return el;
+    }
+}
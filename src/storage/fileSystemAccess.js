@@ -0,0 +1,145 @@
+import { basename, dirname } from '../utils/fileTree.js';
+
+/**
+ * Storage adapter over a File System Access directory handle (Chromium's showDirectoryPicker).
+ * See storage/index.js for the interface every adapter implements.
+ */
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+/**
+ * Recursively copy all entries from srcDir to destDir.
+ */
+async function copyDirRecursive(srcDir, destDir) {
+    for await (const [name, handle] of srcDir.entries()) {
+        if (handle.kind === 'file') {
+            await copyFileHandle(handle, destDir, name);
+        } else {
+            const newSub = await destDir.getDirectoryHandle(name, { create: true });
+            await copyDirRecursive(handle, newSub);
+        }
+    }
+}
+
+async function copyFileHandle(handle, destDir, destName) {
+    const file = await handle.getFile();
+    const newFile = await destDir.getFileHandle(destName, { create: true });
+    const writable = await newFile.createWritable();
+    await writable.write(file);
+    await writable.close();
+}
+
+export function createFileSystemAccessStorage(rootHandle) {
+    /**
+     * Walk to the directory at `path` ('' for the root), optionally creating missing folders.
+     */
+    const getDirectory = async (path, create = false) => {
+        let dir = rootHandle;
+        for (const segment of splitPath(path)) dir = await dir.getDirectoryHandle(segment, { create });
+        return dir;
+    };
+
+    const getFile = async (path, create = false) => {
+        const dir = await getDirectory(dirname(path), create);
+        return dir.getFileHandle(basename(path), { create });
+    };
+
+    const getEntry = async (path) => {
+        if (!path) return rootHandle;
+        const dir = await getDirectory(dirname(path));
+        try {
+            return await dir.getFileHandle(basename(path));
+        } catch (err) {
+            // A folder with that name makes getFileHandle fail with TypeMismatchError
+            if (err.name !== 'TypeMismatchError') throw err;
+            return dir.getDirectoryHandle(basename(path));
+        }
+    };
+
+    const storage = {
+        backend: 'fs-access',
+        name: rootHandle.name,
+        rootHandle,
+
+        async list(path) {
+            const dir = await getDirectory(path);
+            const entries = [];
+            for await (const [name, handle] of dir.entries()) entries.push({ name, kind: handle.kind });
+            return entries;
+        },
+
+        async kindOf(path) {
+            try {
+                return (await getEntry(path)).kind;
+            } catch {
+                return null;
+            }
+        },
+
+        async readText(path) {
+            const file = await (await getFile(path)).getFile();
+            return file.text();
+        },
+
+        async readBlob(path) {
+            return (await getFile(path)).getFile();
+        },
+
+        async write(path, data) {
+            const handle = await getFile(path, true);
+            const writable = await handle.createWritable();
+            await writable.write(data);
+            await writable.close();
+        },
+
+        async stat(path) {
+            const file = await (await getFile(path)).getFile();
+            return { lastModified: file.lastModified, size: file.size };
+        },
+
+        async createFolder(path) {
+            await getDirectory(path, true);
+        },
+
+        async remove(path) {
+            const handle = await getEntry(path);
+            const parent = await getDirectory(dirname(path));
+            await parent.removeEntry(basename(path), { recursive: handle.kind === 'directory' });
+        },
+
+        async copy(from, to) {
+            const handle = await getEntry(from);
+            const destDir = await getDirectory(dirname(to), true);
+            if (handle.kind === 'file') {
+                await copyFileHandle(handle, destDir, basename(to));
+            } else {
+                const newDir = await destDir.getDirectoryHandle(basename(to), { create: true });
+                await copyDirRecursive(handle, newDir);
+            }
+        },
+
+        // The API has no rename or move that works everywhere, so entries are copied and the original removed
+        async move(from, to) {
+            await storage.copy(from, to);
+            await storage.remove(from);
+        },
+
+        /**
+         * Report changes made by other apps through FileSystemObserver. Resolves to a function that
+         * stops watching, and rejects where the browser doesn't support observing the folder.
+         */
+        async watch(onChange) {
+            if (typeof window.FileSystemObserver !== 'function') throw new Error('FileSystemObserver is not supported');
+            const observer = new window.FileSystemObserver((records) => {
+                onChange(records.map(record => ({
+                    type: record.type === 'modified' ? 'modified' : 'other',
+                    path: record.relativePathComponents.join('/'),
+                })));
+            });
+            await observer.observe(rootHandle, { recursive: true });
+            return () => observer.disconnect();
+        },
+    };
+
+    return storage;
+}
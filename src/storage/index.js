@@ -0,0 +1,27 @@
+/**
+ * Storage adapters: the backends FileSystemContext reads and writes the vault through.
+ *
+ * Every adapter addresses entries by vault-relative path ('' is the vault root, segments
+ * separated by '/') and exposes:
+ *
+ *   backend                  'fs-access', 'opfs' or 'native'
+ *   name                     display name of the vault folder
+ *   list(path)               immediate entries of a folder: [{ name, kind: 'file' | 'directory' }]
+ *   kindOf(path)             'file', 'directory', or null if nothing exists there
+ *   readText(path)           file contents as a string
+ *   readBlob(path)           file contents as a Blob
+ *   write(path, data)        write a string or Blob, creating the file if needed
+ *   stat(path)               { lastModified, size }, or null if the backend can't tell
+ *   createFolder(path)       create a folder along with any missing parents
+ *   remove(path)             delete a file, or a folder with everything in it
+ *   copy(from, to)           copy a file or folder
+ *   move(from, to)           rename or move a file or folder
+ *   watch(onChange)          optional; reports outside changes as [{ type: 'modified' | 'other', path }]
+ *                            and resolves to a function that stops watching
+ *
+ * Operations a backend can't perform reject with an Error explaining why.
+ */
+
+export { createFileSystemAccessStorage } from './fileSystemAccess.js';
+export { createOpfsStorage, opfsAvailable } from './opfs.js';
+export { createNativeHostStorage, nativeHostAvailable, NATIVE_HOST_NAME } from './nativeHost.js';
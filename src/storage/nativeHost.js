@@ -0,0 +1,241 @@
+import { basename, dirname } from '../utils/fileTree.js';
+
+/**
+ * Storage adapter backed by the Chrome native messaging host in native-host/host.cjs.
+ * The adapter declares the vault root in a handshake when it connects; after that the host
+ * takes the same vault-relative paths the rest of the app uses and refuses anything that
+ * leads outside the vault. See storage/index.js for the interface.
+ */
+
+// Name the host is registered under in its native messaging manifest
+export const NATIVE_HOST_NAME = 'com.markdown_editor.host';
+
+// Raw bytes per uploaded chunk, matching the host's own chunk size for replies
+const CHUNK_BYTES = 512 * 1024;
+
+// Types for files the app opens as blobs (images, PDFs), which the host doesn't report
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    md: 'text/markdown',
+};
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Build the string in slices; spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Whether this page can talk to a native messaging host (it has to run as an extension page).
+ */
+export function nativeHostAvailable() {
+    return typeof globalThis.chrome?.runtime?.connectNative === 'function';
+}
+
+/**
+ * Open a port to the host. Returns `request(type, payload)`, which resolves with the host's
+ * reply for that request or rejects with its error. Errors carry the host's error code
+ * (e.g. 'NOT_FOUND', 'OUTSIDE_VAULT') as `code`. Replies the host sends in numbered chunks
+ * resolve once the last one arrives, with every chunk's `data` collected in `chunks`.
+ * Also returns `onEvent(listener)` for the messages the host pushes on its own (those
+ * carry an `event` instead of an `id`); it returns a function that removes the listener.
+ */
+function connectHost() {
+    const port = globalThis.chrome.runtime.connectNative(NATIVE_HOST_NAME);
+    const pending = new Map(); // id -> { resolve, reject, chunks }
+    const eventListeners = new Set();
+    let nextId = 1;
+    let closedError = null;
+
+    port.onMessage.addListener((msg) => {
+        if (msg.event) {
+            for (const listener of eventListeners) listener(msg);
+            return;
+        }
+        const request = pending.get(msg.id);
+        if (!request) return;
+        if (!msg.success) {
+            pending.delete(msg.id);
+            request.reject(Object.assign(new Error(msg.error || 'Native host request failed'), { code: msg.code }));
+            return;
+        }
+        if (msg.seq === undefined) {
+            pending.delete(msg.id);
+            request.resolve(msg);
+            return;
+        }
+        if (msg.seq !== request.chunks.length) {
+            pending.delete(msg.id);
+            request.reject(new Error(`Native host sent chunk ${msg.seq} out of order`));
+            return;
+        }
+        request.chunks.push(msg.data);
+        if (!msg.done) return;
+        pending.delete(msg.id);
+        request.resolve({ ...msg, chunks: request.chunks });
+    });
+
+    port.onDisconnect.addListener(() => {
+        closedError = new Error(globalThis.chrome.runtime.lastError?.message || 'Native host disconnected');
+        for (const request of pending.values()) request.reject(closedError);
+        pending.clear();
+    });
+
+    const request = (type, payload = {}) => new Promise((resolve, reject) => {
+        if (closedError) {
+            reject(closedError);
+            return;
+        }
+        const id = nextId++;
+        pending.set(id, { resolve, reject, chunks: [] });
+        port.postMessage({ id, type, ...payload });
+    });
+
+    const onEvent = (listener) => {
+        eventListeners.add(listener);
+        return () => eventListeners.delete(listener);
+    };
+
+    return { request, onEvent };
+}
+
+const unsupported = (operation) => async () => {
+    throw new Error(`${operation} is not supported by the native host`);
+};
+
+/**
+ * Open the vault folder at the absolute path `rootPath` through the native host.
+ */
+export async function createNativeHostStorage(rootPath) {
+    const { request, onEvent } = connectHost();
+    const root = rootPath.replace(/[\\/]+$/, '');
+
+    // Fails early if the host isn't installed or the folder can't be opened
+    await request('handshake', { root });
+
+    const list = async (path) => {
+        const { tree } = await request('listDirectory', { path, includeAll: true, recursive: false });
+        return tree.map(entry => ({ name: entry.name, kind: entry.type === 'directory' ? 'directory' : 'file' }));
+    };
+
+    const readBytes = async (path) => {
+        const { chunks } = await request('readFile', { path, encoding: 'base64' });
+        return chunks.map(base64ToBytes);
+    };
+
+    // Stream bytes to the host one chunk at a time, waiting for each to be written
+    const writeBytes = async (path, bytes) => {
+        const { transferId } = await request('beginWrite', { path });
+        try {
+            let seq = 0;
+            for (let offset = 0; offset < bytes.length; offset += CHUNK_BYTES) {
+                const data = bytesToBase64(bytes.subarray(offset, offset + CHUNK_BYTES));
+                await request('writeChunk', { transferId, seq: seq++, data });
+            }
+            await request('endWrite', { transferId });
+        } catch (err) {
+            request('abortWrite', { transferId }).catch(() => {});
+            throw err;
+        }
+    };
+
+    return {
+        backend: 'native',
+        name: basename(root.replace(/\\/g, '/')) || root,
+        rootPath: root,
+
+        list,
+
+        async kindOf(path) {
+            try {
+                const { type } = await request('exists', { path });
+                return type;
+            } catch {
+                return null;
+            }
+        },
+
+        async readText(path) {
+            return new Blob(await readBytes(path)).text();
+        },
+
+        async readBlob(path) {
+            const extension = basename(path).split('.').pop().toLowerCase();
+            return new Blob(await readBytes(path), { type: MIME_TYPES[extension] || '' });
+        },
+
+        async write(path, data) {
+            // Most notes fit in a single message; anything larger or binary is streamed in chunks
+            if (typeof data === 'string' && data.length <= CHUNK_BYTES) {
+                await request('writeFile', { path, content: data });
+                return;
+            }
+            const bytes = typeof data === 'string'
+                ? new TextEncoder().encode(data)
+                : new Uint8Array(await data.arrayBuffer());
+            await writeBytes(path, bytes);
+        },
+
+        async createFolder(path) {
+            await request('createFolder', { parentPath: dirname(path), name: basename(path) });
+        },
+
+        async stat(path) {
+            const { mtime, size } = await request('stat', { path });
+            return { lastModified: mtime, size };
+        },
+
+        async remove(path) {
+            await request('delete', { path });
+        },
+
+        async move(from, to) {
+            await request('move', { from, to });
+        },
+
+        copy: unsupported('Copying'),
+
+        /**
+         * Report changes pushed by the host's recursive watcher. Renames are reported as
+         * changes to both paths, so the tree rescans them.
+         */
+        async watch(onChange) {
+            const stopListening = onEvent((msg) => {
+                if (msg.event === 'watchError') {
+                    console.warn('The native host stopped watching the vault:', msg.error);
+                    return;
+                }
+                if (msg.event !== 'changes') return;
+                onChange(msg.changes.flatMap(change => change.type === 'renamed'
+                    ? [{ type: 'other', path: change.oldPath }, { type: 'other', path: change.path }]
+                    : [{ type: change.type === 'changed' ? 'modified' : 'other', path: change.path }]));
+            });
+            try {
+                await request('watch');
+            } catch (err) {
+                stopListening();
+                throw err;
+            }
+            return () => {
+                stopListening();
+                request('unwatch').catch(() => {});
+            };
+        },
+    };
+}
@@ -0,0 +1,24 @@
+import { createFileSystemAccessStorage } from './fileSystemAccess.js';
+
+/**
+ * Storage adapter for a vault kept in the browser's Origin Private File System, for browsers
+ * without showDirectoryPicker (Firefox, Safari). OPFS hands out the same directory and file
+ * handles as the File System Access API, so this reuses that adapter as is.
+ * Notes get in and out by importing a folder and exporting a zip.
+ */
+
+export function opfsAvailable() {
+    return typeof navigator.storage?.getDirectory === 'function';
+}
+
+export async function createOpfsStorage() {
+    const root = await navigator.storage.getDirectory();
+    // Ask the browser not to evict the vault under storage pressure; it's fine if it says no
+    navigator.storage.persist?.().catch(() => {});
+    return {
+        ...createFileSystemAccessStorage(root),
+        backend: 'opfs',
+        // The OPFS root has no name of its own
+        name: 'Browser Vault',
+    };
+}
@@ -0,0 +1,123 @@
+import { renderMarkdown, escapeHtml } from './renderMarkdown.js';
+import { themePalettes, editorFonts, highlightStyles } from '../editor/cmTheme.js';
+
+/**
+ * Export a note as a single self-contained HTML file: images are inlined as data URIs, math is
+ * rendered as MathML (which needs no fonts or stylesheet), and the theme's colors are embedded.
+ */
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Stylesheet for a rendered note, mirroring the live preview's look (index.css) in the
+ * colors of the given editor theme ('dark' or 'light').
+ */
+export function noteStylesheet(theme) {
+    const c = themePalettes[theme] || themePalettes.light;
+    // Token classes of highlighted code blocks
+    const highlightRules = (highlightStyles[theme] || highlightStyles.light).module?.getRules() || '';
+    return `
+body { margin: 0; background: ${c.background}; color: ${c.text}; font-family: ${editorFonts.text}; font-size: 16px; line-height: 1.65; }
+.markdown-export { max-width: 800px; margin: 0 auto; padding: 32px; }
+h1, h2, h3, h4, h5, h6 { margin: 1.2em 0 0.4em; line-height: 1.3; }
+.cm-live-heading-1 { font-size: 1.3em; font-weight: 700; }
+.cm-live-heading-2 { font-size: 1.2em; font-weight: 600; }
+.cm-live-heading-3 { font-size: 1.12em; font-weight: 600; }
+.cm-live-heading-4 { font-size: 1.05em; font-weight: 600; }
+.cm-live-heading-5 { font-size: 1em; font-weight: 600; }
+.cm-live-heading-6 { font-size: 1em; font-weight: 600; color: ${c.muted}; }
+p { margin: 0.6em 0; }
+a, .cm-live-link { color: ${c.accent}; }
+.cm-wikilink { color: ${c.accent}; }
+.cm-live-strikethrough { text-decoration: line-through; color: ${c.muted}; }
+.cm-live-highlight { background-color: ${c.highlight}; border-radius: 2px; padding: 0 2px; }
+.cm-live-code { font-family: ${editorFonts.monospace}; font-size: 0.9em; color: ${c.code}; background: ${c.codeBackground}; border-radius: 3px; padding: 1px 4px; }
+.cm-live-codeblock { font-family: ${editorFonts.monospace}; font-size: 0.9em; background: ${c.codeBackground}; border-radius: 4px; padding: 12px 16px; overflow-x: auto; }
+.cm-codeblock-widget { position: relative; margin: 0.8em 0; font-family: ${editorFonts.monospace}; font-size: 0.9em; background: ${c.codeBackground}; border-radius: 4px; }
+.cm-codeblock-header { position: absolute; top: 4px; right: 8px; }
+.cm-codeblock-lang { font-family: ${editorFonts.text}; font-size: 11px; color: ${c.faint}; }
+.cm-codeblock-widget pre { margin: 0; padding: 12px 16px; overflow-x: auto; font: inherit; }
+.cm-codeblock-line { display: block; min-height: 1.5em; padding: 0 16px; margin: 0 -16px; }
+.cm-codeblock-line.is-highlighted { background: ${c.selection}; }
+.cm-codeblock-line-number { display: inline-block; min-width: 2em; margin-right: 12px; text-align: right; color: ${c.faint}; user-select: none; }
+${highlightRules}
+.cm-live-blockquote { margin: 0.8em 0; border-left: 3px solid ${c.accent}; padding-left: 12px; color: ${c.muted}; font-style: italic; }
+.callout { margin: 0.8em 0; padding: 8px 12px; border-left: 3px solid rgb(var(--callout-color)); border-radius: 0 4px 4px 0; background: rgba(var(--callout-color), 0.1); }
+.callout-title { display: flex; align-items: center; gap: 6px; font-weight: 600; color: rgb(var(--callout-color)); }
+.callout-icon { display: inline-flex; }
+summary.callout-title { cursor: pointer; }
+.callout-content > :last-child { margin-bottom: 0; }
+.cm-mermaid-widget { margin: 8px 0; text-align: center; overflow-x: auto; }
+.cm-mermaid-widget svg { max-width: 100%; height: auto; }
+.cm-mermaid-error { text-align: left; border: 1px solid ${c.code}; border-radius: 4px; padding: 8px 12px; color: ${c.code}; }
+.cm-mermaid-error-title { font-weight: 600; }
+.cm-mermaid-error pre { margin: 4px 0 0; white-space: pre-wrap; font-family: ${editorFonts.monospace}; font-size: 0.85em; }
+.cm-footnote-ref { font-size: 0.75em; line-height: 0; }
+.cm-footnote-ref a { color: ${c.accent}; text-decoration: none; padding: 0 1px; }
+.cm-footnotes { margin-top: 32px; padding-top: 8px; border-top: 1px solid ${c.border}; font-size: 0.9em; color: ${c.muted}; }
+.cm-footnote-text p { margin: 0 0 4px; }
+.cm-hr-widget { height: 1px; background: ${c.border}; margin: 16px 0; }
+.cm-table-widget { margin: 8px 0; overflow-x: auto; }
+.cm-table-widget table { border-collapse: collapse; width: 100%; }
+.cm-table-widget th, .cm-table-widget td { border: 1px solid ${c.border}; padding: 6px 12px; text-align: left; }
+.cm-table-widget th { font-weight: 600; background: ${c.backgroundAlt}; }
+.cm-table-widget code { font-family: ${editorFonts.monospace}; font-size: 0.9em; padding: 1px 4px; border-radius: 3px; background: ${c.codeBackground}; }
+.cm-image-widget img { display: block; max-width: 100%; margin: 8px 0; border-radius: 4px; }
+.cm-image-placeholder.error { color: ${c.code}; font-style: italic; }
+.cm-math-block { display: block; text-align: center; padding: 12px 0; overflow-x: auto; }
+.cm-math-error { color: ${c.code}; }
+.task-list-item { list-style: none; margin-left: -1.3em; }
+.cm-task-checkbox { display: inline-flex; align-items: center; justify-content: center; width: 15px; height: 15px; margin-right: 8px; box-sizing: border-box; border: 1.5px solid ${c.faint}; border-radius: 4px; vertical-align: -2px; font-size: 11px; font-weight: 700; line-height: 1; color: #fff; }
+.cm-task-checkbox.is-done { background: ${c.accent}; border-color: ${c.accent}; }
+.cm-task-checkbox.is-done::after { content: '✓'; }
+.cm-task-checkbox.is-cancelled::after { content: '✕'; color: ${c.faint}; }
+.cm-task-checkbox.is-deferred::after { content: '›'; color: ${c.accent}; font-size: 14px; }
+.cm-task-checkbox.is-custom::after { content: attr(data-task); color: ${c.accent}; }
+.cm-live-task-done { text-decoration: line-through; color: ${c.faint}; }
+.cm-tag { color: ${c.accent}; background: ${c.backgroundAlt}; border-radius: 10px; padding: 1px 6px; font-size: 0.9em; }
+.cm-properties-widget { margin: 0 0 16px; padding-bottom: 8px; border-bottom: 1px solid ${c.border}; font-size: 0.9em; }
+.cm-properties-widget table { border-collapse: collapse; }
+.cm-properties-widget th { padding: 3px 16px 3px 0; text-align: left; font-weight: 500; color: ${c.muted}; vertical-align: top; }
+.cm-properties-widget td { padding: 3px 0; }
+.cm-property-chip { display: inline-block; margin: 0 4px 2px 0; padding: 0 8px; border-radius: 10px; background: ${c.backgroundAlt}; }
+.cm-property-value.is-empty { color: ${c.faint}; }
+`;
+}
+
+/**
+ * Render a note's markdown to a complete HTML document string.
+ * `readImage(src)` resolves an image reference (an ![[embed]] name or a relative path) to a
+ * Blob, or null if it can't be found. `extraCss` is appended to the theme's stylesheet.
+ */
+export async function exportNoteHtml(content, { title, theme, readImage, extraCss = '' }) {
+    const body = await renderMarkdown(content, {
+        mathOutput: 'mathml',
+        theme,
+        loadImage: async (src) => {
+            const blob = await readImage(src);
+            return blob ? blobToDataUrl(blob) : null;
+        },
+    });
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${noteStylesheet(theme)}${extraCss}</style>
+</head>
+<body>
+<article class="markdown-export">
+${body}
+</article>
+</body>
+</html>
+`;
+}
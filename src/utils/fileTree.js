@@ -0,0 +1,64 @@
+/**
+ * Helpers for walking the nested `fileTree` structure produced by FileSystemContext.
+ * Folders are loaded lazily: a directory node's `children` is null until it is expanded.
+ */
+
+/**
+ * Find the node (file or directory) with the given vault-relative path.
+ */
+export function findNodeByPath(nodes, path) {
+    for (const node of nodes) {
+        if (node.path === path) return node;
+        if (node.children && path.startsWith(node.path + '/')) {
+            const found = findNodeByPath(node.children, path);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Return a copy of the tree with the folder at `dirPath` ('' for the root) holding `listing`.
+ * Subfolders that were already loaded keep their contents. Unchanged branches are reused,
+ * and the tree is returned as-is if `dirPath` isn't part of the loaded tree.
+ */
+export function replaceChildren(nodes, dirPath, listing) {
+    const merge = (previous) => {
+        const loaded = new Map(previous.filter(n => n.kind === 'directory' && n.children).map(n => [n.path, n]));
+        return listing.map(n => loaded.has(n.path) ? { ...n, children: loaded.get(n.path).children } : n);
+    };
+    if (!dirPath) return merge(nodes);
+
+    let changed = false;
+    const next = nodes.map(node => {
+        if (node.kind !== 'directory') return node;
+        if (node.path === dirPath) {
+            changed = true;
+            return { ...node, children: merge(node.children || []) };
+        }
+        if (node.children && dirPath.startsWith(node.path + '/')) {
+            const children = replaceChildren(node.children, dirPath, listing);
+            if (children !== node.children) {
+                changed = true;
+                return { ...node, children };
+            }
+        }
+        return node;
+    });
+    return changed ? next : nodes;
+}
+
+/**
+ * Return the folder portion of a vault-relative path ('' for the root).
+ */
+export function dirname(path) {
+    const idx = path.lastIndexOf('/');
+    return idx === -1 ? '' : path.slice(0, idx);
+}
+
+/**
+ * Return the last segment of a vault-relative path.
+ */
+export function basename(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
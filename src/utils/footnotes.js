@@ -0,0 +1,113 @@
+import { parseFrontMatter } from './frontMatter.js';
+
+/**
+ * Footnotes: `[^label]` references to `[^label]: text` definitions, and `^[inline text]`
+ * footnotes that carry their text with them.
+ */
+
+// `[^label]: ` at the start of a line, indented up to three spaces
+const DEFINITION_REGEX = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*/;
+
+/**
+ * Matches a footnote reference.
+ * Group 1: the label of a `[^label]` reference
+ * Group 2: the text of an `^[inline footnote]` (which may hold [links] but no deeper brackets)
+ */
+export const FOOTNOTE_REGEX = /\[\^([^\]\s]+)\]|\^\[((?:[^[\]]|\[[^[\]]*\])+)\]/g;
+
+/**
+ * Find a note's footnotes, with offsets into `content`:
+ *   references   [{ from, to, number, key, text }], in document order. `key` is the lowercased
+ *                label, or null for inline footnotes. References to undefined labels are left out.
+ *   definitions  [{ from, to, textFrom, number, key, text }], spanning the definition's lines
+ *                (continuation lines are indented)
+ *   notes        [{ number, key, text, referenced }] in number order, one per footnote
+ * Footnotes are numbered in the order they are first referenced; definitions nothing refers
+ * to come last. Front matter, fenced code blocks and inline code spans are skipped.
+ */
+export function findFootnotes(content) {
+    const frontMatter = parseFrontMatter(content);
+    const found = [];
+    const definitions = new Map();
+    let offset = frontMatter ? frontMatter.bodyFrom : 0;
+    let fence = null;
+    let current = null; // The definition that indented lines continue
+    let afterBlank = false;
+
+    for (const line of content.slice(offset).split('\n')) {
+        const marker = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+        } else if (marker) {
+            fence = marker[1];
+            current = null;
+        } else {
+            const definition = line.match(DEFINITION_REGEX);
+            let labelEnd = 0;
+            if (definition) {
+                const key = definition[1].toLowerCase();
+                labelEnd = definition[0].length;
+                current = null;
+                // The first definition of a label wins
+                if (!definitions.has(key)) {
+                    current = { from: offset, to: offset + line.length, textFrom: offset + labelEnd, key, lines: [line.slice(labelEnd)] };
+                    definitions.set(key, current);
+                }
+            } else if (current && !line.trim()) {
+                afterBlank = true;
+            } else if (current && /^( {2,}|\t)/.test(line)) {
+                // A blank line before an indented line starts a new paragraph of the footnote
+                current.lines.push(afterBlank ? `\n${line.trim()}` : line.trim());
+                current.to = offset + line.length;
+                afterBlank = false;
+            } else {
+                current = null;
+            }
+            if (line.trim()) afterBlank = false;
+
+            // Blank out code spans and the definition's label, keeping the offsets intact
+            const text = (' '.repeat(labelEnd) + line.slice(labelEnd)).replace(/(`+)[^`]+?\1/g, (span) => ' '.repeat(span.length));
+            for (const match of text.matchAll(FOOTNOTE_REGEX)) {
+                found.push({
+                    from: offset + match.index,
+                    to: offset + match.index + match[0].length,
+                    key: match[1] ? match[1].toLowerCase() : null,
+                    text: match[2] ?? null,
+                });
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    const numbers = new Map();
+    const notes = [];
+    const references = [];
+    for (const reference of found) {
+        if (reference.key === null) {
+            reference.number = notes.length + 1;
+            notes.push({ number: reference.number, key: null, text: reference.text, referenced: true });
+        } else {
+            const definition = definitions.get(reference.key);
+            if (!definition) continue;
+            if (!numbers.has(reference.key)) {
+                numbers.set(reference.key, notes.length + 1);
+                notes.push({ number: notes.length + 1, key: reference.key, text: definition.lines.join('\n'), referenced: true });
+            }
+            reference.number = numbers.get(reference.key);
+            reference.text = definition.lines.join('\n');
+        }
+        references.push(reference);
+    }
+
+    for (const definition of definitions.values()) {
+        definition.text = definition.lines.join('\n');
+        delete definition.lines;
+        if (!numbers.has(definition.key)) {
+            numbers.set(definition.key, notes.length + 1);
+            notes.push({ number: notes.length + 1, key: definition.key, text: definition.text, referenced: false });
+        }
+        definition.number = numbers.get(definition.key);
+    }
+
+    return { references, definitions: [...definitions.values()], notes };
+}
@@ -0,0 +1,234 @@
+/**
+ * YAML front matter: the `---` fenced block at the very top of a note.
+ * Only the flat "properties" subset of YAML is understood: `key: value` pairs whose values are
+ * text, lists, dates or booleans. Anything else (nested maps, block scalars) is kept as written
+ * and reported as a read-only text property. Edits rewrite only the lines of the property being
+ * changed, so the rest of the block stays exactly as the user wrote it.
+ */
+
+export const PROPERTY_TYPES = ['text', 'list', 'date', 'checkbox'];
+
+const FRONT_MATTER_REGEX = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?=\r?\n|$)/;
+// A top-level `key:` line. Lines starting with whitespace or "- " continue the previous key.
+const KEY_LINE_REGEX = /^(?!-(?:\s|$))([^\s#][^:]*?)[ \t]*:(?:[ \t]+(.*?))?[ \t]*$/;
+const LIST_ITEM_REGEX = /^[ \t]*-(?:[ \t]+(.*?))?[ \t]*$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Plain scalars that YAML would read as something other than the same string
+const NEEDS_QUOTES_REGEX = /^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$|: | #|:$|\n|^(true|false|yes|no|on|off|null|~)$|^[-+]?(\.\d+|\d[\d_]*(\.\d*)?)([eE][-+]?\d+)?$|^\d{4}-\d{2}-\d{2}/i;
+
+/**
+ * Locate the front matter of a note.
+ * Returns { to, bodyFrom, yaml, eol } or null: the block spans [0, to) including both fences,
+ * and the note's body starts at bodyFrom (after the closing fence's line break).
+ */
+export function findFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_REGEX);
+    if (!match) return null;
+    const to = match[0].length;
+    const eol = text.slice(0, to).includes('\r\n') ? '\r\n' : '\n';
+    const bodyFrom = text.startsWith('\r\n', to) ? to + 2 : text.startsWith('\n', to) ? to + 1 : to;
+    return { to, bodyFrom, yaml: match[1] ?? '', eol };
+}
+
+function stripComment(raw) {
+    return raw.replace(/[ \t]+#.*$/, '');
+}
+
+/**
+ * Read a YAML scalar. Returns { value, quoted }.
+ */
+function parseScalar(raw) {
+    const text = raw.trim();
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+        try {
+            return { value: JSON.parse(text), quoted: true };
+        } catch {
+            return { value: text.slice(1, -1), quoted: true };
+        }
+    }
+    if (text.length >= 2 && text.startsWith("'") && text.endsWith("'")) {
+        return { value: text.slice(1, -1).replace(/''/g, "'"), quoted: true };
+    }
+    const value = stripComment(text);
+    return { value: value === '~' || value === 'null' ? '' : value, quoted: false };
+}
+
+// Split a flow sequence body ("a, 'b, c', d") on the commas outside quotes
+function splitFlow(body) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current);
+    return items.map(item => parseScalar(item).value).filter(item => item !== '');
+}
+
+function parseValue(inline, continuation) {
+    const meaningful = continuation.filter(line => line.trim() && !/^\s*#/.test(line));
+
+    if (!inline) {
+        if (!meaningful.length) return { type: 'text', value: '' };
+        if (meaningful.every(line => LIST_ITEM_REGEX.test(line))) {
+            const value = meaningful.map(line => parseScalar(line.match(LIST_ITEM_REGEX)[1] ?? '').value).filter(item => item !== '');
+            return { type: 'list', value };
+        }
+    } else if (!meaningful.length) {
+        const flow = stripComment(inline).match(/^\[(.*)\]$/);
+        if (flow) return { type: 'list', value: splitFlow(flow[1]), flow: true };
+        if (!/^[|>{&*!]/.test(inline)) {
+            const { value, quoted } = parseScalar(inline);
+            if (!quoted && /^(true|false)$/i.test(value)) return { type: 'checkbox', value: value.toLowerCase() === 'true' };
+            if (!quoted && DATE_REGEX.test(value)) return { type: 'date', value };
+            return { type: 'text', value };
+        }
+    }
+
+    // Nested maps, block scalars and multi-line values are shown as written and not edited
+    return { type: 'text', value: [inline, ...continuation].filter(Boolean).join('\n').trim(), complex: true };
+}
+
+/**
+ * Parse the body of a front matter block (without the fences) into its properties:
+ * [{ key, type, value, flow?, complex?, start, end }], where [start, end) are the block's line
+ * indices the property occupies. List values are arrays and checkbox values booleans.
+ */
+export function parseProperties(yaml) {
+    const lines = yaml === '' ? [] : yaml.split(/\r?\n/);
+    const properties = [];
+    let current = null;
+
+    const finish = (end) => {
+        if (!current) return;
+        // Trailing blank lines and comments belong to no property
+        while (end > current.start + 1 && (!lines[end - 1].trim() || /^#/.test(lines[end - 1]))) end--;
+        const { key, inline, start } = current;
+        properties.push({ key, ...parseValue(inline, lines.slice(start + 1, end)), start, end });
+        current = null;
+    };
+
+    lines.forEach((line, i) => {
+        const match = line.match(KEY_LINE_REGEX);
+        if (match) {
+            finish(i);
+            current = { key: parseScalar(match[1]).value, inline: match[2] ?? '', start: i };
+        } else if (/^\S/.test(line) && !LIST_ITEM_REGEX.test(line)) {
+            // A top-level comment or a line we can't read ends the current property
+            finish(i);
+        }
+    });
+    finish(lines.length);
+    return properties;
+}
+
+/**
+ * Parse a note's front matter. Returns { ...findFrontMatter(text), properties } or null.
+ */
+export function parseFrontMatter(text) {
+    const frontMatter = findFrontMatter(text);
+    if (!frontMatter) return null;
+    return { ...frontMatter, properties: parseProperties(frontMatter.yaml) };
+}
+
+function formatScalar(value, inFlow = false) {
+    const text = String(value);
+    if (NEEDS_QUOTES_REGEX.test(text) || (inFlow && /[,[\]{}]/.test(text))) return JSON.stringify(text);
+    return text;
+}
+
+function formatKey(key) {
+    return /^[^\s#'"\-?:,[\]{}&*!|>%@`][^:#]*$/.test(key) && !/\s$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * The YAML lines for a property ({ key, type, value, flow? }).
+ */
+function serializeProperty({ key, type, value, flow }) {
+    const name = formatKey(key);
+    switch (type) {
+        case 'list': {
+            const items = value.filter(item => item !== '');
+            if (flow || !items.length) return [`${name}: [${items.map(item => formatScalar(item, true)).join(', ')}]`];
+            return [`${name}:`, ...items.map(item => `  - ${formatScalar(item)}`)];
+        }
+        case 'checkbox':
+            return [`${name}: ${value ? 'true' : 'false'}`];
+        case 'date':
+            return [value ? `${name}: ${value}` : `${name}:`];
+        default:
+            return [value === '' ? `${name}:` : `${name}: ${formatScalar(value)}`];
+    }
+}
+
+function replaceBlock(text, frontMatter, lines) {
+    const { eol } = frontMatter;
+    const block = ['---', ...lines, '---'].join(eol);
+    return block + text.slice(frontMatter.to);
+}
+
+/**
+ * Set a property of a note, returning the new note text.
+ * `key` names the property to replace (which may be renamed through `property.key`); when it
+ * doesn't exist the property is added at the end, and a front matter block is created if needed.
+ */
+export function setProperty(text, key, property) {
+    const frontMatter = findFrontMatter(text);
+    const newLines = serializeProperty(property);
+    if (!frontMatter) {
+        const eol = text.includes('\r\n') ? '\r\n' : '\n';
+        return ['---', ...newLines, '---'].join(eol) + eol + text;
+    }
+
+    const lines = frontMatter.yaml === '' ? [] : frontMatter.yaml.split(/\r?\n/);
+    const properties = parseProperties(frontMatter.yaml);
+    const existing = key !== null && properties.find(p => p.key === key);
+    if (existing) {
+        lines.splice(existing.start, existing.end - existing.start, ...newLines);
+    } else {
+        const last = properties[properties.length - 1];
+        lines.splice(last ? last.end : lines.length, 0, ...newLines);
+    }
+    return replaceBlock(text, frontMatter, lines);
+}
+
+/**
+ * Remove a property from a note's front matter, returning the new note text.
+ */
+export function removeProperty(text, key) {
+    const frontMatter = findFrontMatter(text);
+    if (!frontMatter) return text;
+    const existing = parseProperties(frontMatter.yaml).find(p => p.key === key);
+    if (!existing) return text;
+    const lines = frontMatter.yaml.split(/\r?\n/);
+    lines.splice(existing.start, existing.end - existing.start);
+    return replaceBlock(text, frontMatter, lines);
+}
+
+/**
+ * Convert a property value when its type changes, keeping as much of it as makes sense.
+ */
+export function convertValue(value, fromType, toType) {
+    if (fromType === toType) return value;
+    const text = fromType === 'list' ? value.join(', ') : String(value === false ? '' : value);
+    switch (toType) {
+        case 'list':
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'checkbox':
+            return fromType === 'list' ? value.length > 0 : /^(true|yes|on|1)$/i.test(text.trim());
+        case 'date':
+            return DATE_REGEX.test(text.trim()) ? text.trim() : '';
+        default:
+            return fromType === 'checkbox' ? (value ? 'true' : 'false') : text;
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Fuzzy subsequence matching used by the quick switcher.
+ *
+ * Every query character must appear in order in the text. Matches score higher when
+ * characters are consecutive, start a word (after '/', ' ', '-', '_' or '.'), or fall
+ * inside the file name rather than its folder. Returns { score, indices } or null.
+ */
+export function fuzzyMatch(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    if (!q) return { score: 0, indices: [] };
+    const t = text.toLowerCase();
+
+    // Try the word-boundary-seeking alignment first; it can overshoot, so fall back to plain greedy
+    const indices = alignIndices(q, t, true) || alignIndices(q, t, false);
+    if (!indices) return null;
+
+    const nameStart = text.lastIndexOf('/') + 1;
+    let score = 0;
+    let prev = -2;
+    for (const idx of indices) {
+        score += 1;
+        if (idx === prev + 1) score += 5;
+        if (isWordStart(t, idx)) score += 3;
+        if (idx >= nameStart) score += 2;
+        prev = idx;
+    }
+
+    // Shorter paths and earlier matches are better
+    score -= text.length * 0.05 + indices[0] * 0.1;
+    return { score, indices };
+}
+
+function alignIndices(q, t, preferBoundaries) {
+    const indices = [];
+    let from = 0;
+    let prev = -2;
+
+    for (const ch of q) {
+        let idx = t.indexOf(ch, from);
+        if (idx === -1) return null;
+
+        // Unless it continues a run, jump ahead to an occurrence that starts a word
+        if (preferBoundaries && idx !== prev + 1 && !isWordStart(t, idx)) {
+            let boundary = t.indexOf(ch, idx + 1);
+            while (boundary !== -1 && !isWordStart(t, boundary)) {
+                boundary = t.indexOf(ch, boundary + 1);
+            }
+            if (boundary !== -1) idx = boundary;
+        }
+
+        indices.push(idx);
+        prev = idx;
+        from = idx + 1;
+    }
+    return indices;
+}
+
+function isWordStart(text, idx) {
+    return idx === 0 || '/ -_.'.includes(text[idx - 1]);
+}
@@ -16,6 +16,9 @@ A "Vault" is simply any folder on your computer that you choose to open with thi
 ### Security & Permissions
 Modern browsers require you to explicitly grant permission every time you open a vault or sometimes when returning to the application after a session. This is a deliberate security feature of the File System Access API to ensure websites cannot silently access your hard drive. 
 
+### Browsers Without Folder Access
+Firefox and Safari can't open folders on disk. There, "Open Vault" creates a **Browser Vault** kept in the browser's own private storage instead. Use the upload button in the file explorer header to import a folder of notes, and the download button to export the whole vault as a \`.zip\`. Export regularly: clearing the site's data deletes the Browser Vault.
+
 ---
 
 ## 2. File Organization & Navigation
@@ -29,6 +32,24 @@ You can drag and drop files and folders within the file tree to reorganize your
 - Drag any item and drop it onto the empty space in the sidebar (the root level) to move it back to the main vault directory.
 - Folders highlight with a purple dashed outline when you hover over them while dragging.
 
+### Renaming and Moving Keeps Links Intact
+When you rename or move a note, folder, or image, every \`[[wikilink]]\`, \`![[embed]]\` and \`[text](relative/path.md)\` that pointed to it is updated across the vault. Before anything changes, a preview lists each affected note with the lines before and after; choose **Update links**, **Don't update links**, or **Cancel**.
+
+### Quick Switcher
+Press \`Cmd + O\` / \`Ctrl + O\` to jump to any file by typing part of its name or path. Letters don't need to be adjacent: \`mtgnts\` finds \`meeting notes.md\`. Recently opened files are listed first.
+- \`↑\` / \`↓\` move through the results and \`Enter\` opens the highlighted file.
+- \`Shift + Enter\` creates a new note with the typed name (use \`folder/name\` to create it inside a folder).
+
+### Search
+Press \`Cmd + Shift + F\` / \`Ctrl + Shift + F\` (or click the magnifier above the file tree) to search every note in your vault. Results are grouped by file; click a line to jump to it.
+- Separate words must all appear in a note: \`meeting budget\`
+- Quote an exact phrase: \`"quarterly review"\`
+- Restrict by path or tag: \`path:projects/\`, \`tag:#todo\`
+- Toggle \`Aa\` for case-sensitive matching and \`.*\` to search with a regular expression.
+
+### Tags
+Write \`#tag\` anywhere in a note, or list tags in the \`tags\` property of its front matter. Tags can be nested with slashes (\`#project/alpha\`) and are shown as pills in the editor. The tag button above the file tree lists every tag in the vault with the number of notes carrying it, nested tags under their parent. Click a tag to see its notes; the pencil next to it renames the tag, and every tag nested under it, in all notes at once.
+
 ### Creating New Items
 Use the "New File" and "New Folder" icons at the top of the sidebar. When creating a new file:
 - It will be created in the root vault folder if nothing is selected.
@@ -50,9 +71,31 @@ Even in Edit Mode, the editor uses a "Live Preview" system. Markdown syntax (lik
 ### Auto-Save
 You do not need to manually save your work. The editor automatically saves your changes to your local hard drive 1 second after you stop typing. You can also manually trigger a save using \`Cmd + S\` or \`Ctrl + S\`.
 
+### Changes Made in Other Apps
+The vault is watched for changes made outside the app (another editor, a sync client, git). New, deleted, and modified files show up in the sidebar, search, and backlinks automatically. If an open note changes on disk and you have no unsaved edits, it reloads silently. If you do have unsaved edits, auto-save pauses and you can **Reload from disk**, **Keep my version**, or **Merge** the two side by side.
+
+### Tabs
+Every note you open gets its own tab above the editor. Each tab remembers its undo history, cursor, scroll position and Edit/Read mode, and saves on its own.
+- Middle-click a tab (or click its \`×\`) to close it. Drag tabs to reorder them.
+- Right-click a tab to **Pin** it, close it, or **Close others**. Pinned tabs stay at the front and are kept when closing others.
+- The tabs you had open come back when you reopen the vault.
+
+### Split Panes
+Right-click a tab and choose **Split right** or **Split down** to open the note in a new pane next to or below the current one, so you can write in one note while reading another. Each pane has its own tabs and mode; files you open go to the pane you last clicked in.
+- Drag the divider between panes to resize them.
+- Panes are all side by side or all stacked: splitting in the other direction switches the whole layout.
+- When the same note is open in two panes, typing in one shows up in the other immediately.
+- Closing the last tab of a pane closes the pane.
+
 ### Scroll Persistence
 When you scroll down a long document, the application remembers your position. If you switch to another file and then come back, the editor will automatically snap back down to exactly where you left off.
 
+### Exporting to HTML
+The export button in the note header turns the current note into a single \`.html\` file that opens in any browser. Headings, formatting, highlights, tables and math are rendered the way they look in the editor, images are embedded in the file, and the colors follow the current theme. **Export to HTML** saves the file next to the note; **Download as HTML** saves it through the browser instead.
+
+### Printing and PDF
+**Print / Save as PDF** in the same menu (or \`Cmd + P\` / \`Ctrl + P\`) prints the whole note on its own, without the sidebar or editor around it. Choose **Save as PDF** as the printer to get a PDF whose bookmarks follow the note's headings. Each top-level heading starts a new page; the page size and margins are set in Settings.
+
 ---
 
 ## 4. Images, Assets, and Trash
@@ -73,7 +116,9 @@ When you paste or drop an image, the application does the following in the backg
 If you click on \`.pdf\`, \`.jpg\`, \`.jpeg\`, or \`.png\` files directly within the file tree, they will automatically open in a new browser tab for viewing rather than attempting to load as text.
 
 ### The Trash System
-To prevent accidental permanent data loss, deleting a file or folder does not erase it from your hard drive. Instead, it moves the item into a hidden \`.Trash\` folder located in the same directory. You can manually recover these files using your computer's native file explorer (Finder or Windows Explorer) if needed.
+To prevent accidental permanent data loss, deleting a file or folder does not erase it from your hard drive. Instead, it moves the item into a hidden \`.Trash\` folder at the root of your vault, remembering where it came from and when it was deleted. If an item with the same name is already in the trash, the new one is numbered (e.g. \`notes 1.md\`) so nothing is overwritten.
+
+Open the **Trash** tab at the top of the sidebar to see everything you have deleted. Hover an item to **restore** it to its original folder (recreating the folder if needed, and numbering the name if something new has taken its place) or to **delete it permanently**. The button in the Trash header empties the whole trash.
 
 ---
 
@@ -102,9 +147,26 @@ Ordered Lists:
 1. First step
 2. Second step
 
+Task Lists (click a box to check it, even in Read Mode):
+- [ ] Open task
+- [x] Completed task
+- [-] Cancelled task
+- [>] Deferred task
+
 ### Blockquotes
 > This is a blockquote. It spans multiple lines if necessary and visually groups quoted text.
 
+### Callouts
+A blockquote that starts with \`[!type]\` becomes a colored box with an icon. The text after the type is its title:
+> [!tip] Callouts can hold **any** markdown
+> Types include note, info, tip, success, question, warning, danger, bug, example and quote. Unknown types look like a note.
+
+Add \`-\` after the type to fold the callout by default, or \`+\` to make it foldable but open. Click the chevron to fold or unfold it:
+> [!warning]- Folded by default
+> This text is hidden until the callout is unfolded.
+> > [!note]
+> > Callouts can be nested.
+
 ### Code
 Inline code: \`const example = true;\`
 
@@ -115,12 +177,63 @@ function helloWorld() {
 }
 \`\`\`
 
+Outside Edit Mode's current block, code blocks are shown highlighted for their language, with a copy button. Options after the language add line numbers (\`showLineNumbers\`) and highlight lines (\`{1,3-5}\`):
+\`\`\`javascript {2} showLineNumbers
+function greet(name) {
+  return "Hello, " + name + "!";
+}
+\`\`\`
+
+### Diagrams
+Code blocks tagged \`mermaid\` are drawn as diagrams (flowcharts, sequence diagrams, Gantt charts, class diagrams and more). Click a diagram in Edit Mode to change its source; invalid syntax shows the error instead:
+\`\`\`mermaid
+flowchart LR
+  A[Write] --> B{Done?}
+  B -- Yes --> C[Publish]
+  B -- No --> A
+\`\`\`
+
 ### Tables
 | Syntax | Description |
 | ----------- | ----------- |
 | Header | Title |
 | Paragraph | Text |
 
+In Edit Mode, click a cell to edit it in place:
+- \`Tab\` / \`Shift + Tab\` move to the next or previous cell (tabbing out of the last cell adds a row), and \`↑\` / \`↓\` move between rows.
+- \`Enter\` adds a new row below. \`Esc\` leaves the table.
+- Right-click a cell to insert, delete or move rows and columns, or to align a column left, center or right.
+
+Every change re-aligns the table's columns in the markdown and can be undone in one step.
+
+### Footnotes
+Add a footnote with \`[^label]\` and define it anywhere on its own line with \`[^label]: text\`.[^guide] Short notes can also be written inline: ^[like this one.]
+- Footnotes are numbered in the order they appear. Hover a number to preview the note; click it to jump to the definition.
+- Click a definition's number to jump back to where it is referenced.
+- In Read Mode, the definitions are gathered at the end of the note.
+
+[^guide]: Indent further lines by two spaces to continue a longer footnote.
+
+### Internal Links
+Link to other notes in your vault with double brackets:
+- \`[[Note Name]]\` links to a note by name, wherever it lives in the vault.
+- \`[[folder/Note Name]]\` links to a specific path.
+- \`[[Note Name|shown text]]\` displays an alias instead of the note name.
+
+Clicking a link opens the note. Links to notes that don't exist yet appear faded with a dashed underline; clicking one offers to create the note.
+
+### Properties (Front Matter)
+A block fenced by \`---\` lines at the very top of a note holds its properties in YAML:
+\`\`\`
+---
+status: draft
+tags: [project, ideas]
+due: 2025-03-01
+published: false
+---
+\`\`\`
+The block is shown as a compact table until you move the cursor into it. The list button in the note header opens a properties panel where each property can be edited as text, a list, a date or a checkbox; only the edited property's lines are rewritten in the file.
+
 ---
 
 ## 6. LaTeX Math Expressions
@@ -0,0 +1,132 @@
+import { createWikilinkResolver } from './wikilinks.js';
+import { resolveRelativeHref } from './vaultIndex.js';
+import { basename, dirname } from './fileTree.js';
+
+/**
+ * Map every file affected by renaming or moving `node` to `newPath` from its old path to its new one.
+ * For a folder this covers every file inside it.
+ */
+export function collectMoves(node, newPath, files) {
+    const moves = new Map();
+    if (node.kind === 'file') {
+        moves.set(node.path, newPath);
+    } else {
+        const prefix = node.path + '/';
+        for (const file of files) {
+            if (file.path.startsWith(prefix)) moves.set(file.path, newPath + '/' + file.path.slice(prefix.length));
+        }
+    }
+    return moves;
+}
+
+/**
+ * Relative path from a folder to a file, e.g. ('a/b', 'a/c/d.md') → '../c/d.md'.
+ */
+function relativePath(fromDir, toPath) {
+    const from = fromDir ? fromDir.split('/') : [];
+    const to = toPath.split('/');
+    let i = 0;
+    while (i < from.length && i < to.length - 1 && from[i] === to[i]) i++;
+    return [...from.slice(i).map(() => '..'), ...to.slice(i)].join('/');
+}
+
+/**
+ * The wikilink target to write for a file now at `path`: the bare name when it still
+ * resolves unambiguously and the original link used a bare name, the full path otherwise.
+ * The `.md` extension is kept only if the original link spelled it out.
+ */
+function wikiTargetFor(path, originalTarget, sourcePath, resolve) {
+    const keepExt = /\.md$/i.test(originalTarget) || !/\.md$/i.test(path);
+    const strip = (p) => keepExt ? p : p.replace(/\.md$/i, '');
+    if (!originalTarget.includes('/')) {
+        const name = strip(basename(path));
+        if (resolve(name, sourcePath)?.path === path) return name;
+    }
+    return strip(path);
+}
+
+/**
+ * Rewrite the target inside one link's source text, leaving fragments, aliases and titles alone.
+ */
+function rewriteLinkText(text, link, newTarget) {
+    if (link.kind === 'markdown') {
+        const start = text.indexOf('](') + 2;
+        const raw = link.target;
+        const angled = raw.startsWith('<');
+        const hash = raw.indexOf('#');
+        const fragment = hash === -1 ? '' : raw.slice(hash).replace(/>$/, '');
+        const href = angled ? `<${newTarget}${fragment}>` : encodeURI(newTarget) + fragment;
+        return text.slice(0, start) + href + text.slice(start + raw.length);
+    }
+    const start = text.indexOf('[[') + 2;
+    let end = start;
+    while (end < text.length && !'#|]'.includes(text[end])) end++;
+    return text.slice(0, start) + newTarget + text.slice(end);
+}
+
+/**
+ * Work out which notes need their links rewritten after the files in `moves`
+ * (old path → new path) are renamed or moved.
+ *
+ * `docs` is the vault index's path → { content, links } map and `files` the vault's files
+ * before the move. Wikilinks and embeds are rewritten only where they would no longer
+ * resolve to the same file; relative markdown links are recomputed when either the
+ * target or the note containing them moves. Links that were already broken are left alone,
+ * as are links in code blocks and code spans, which `extractLinks` doesn't report.
+ *
+ * Returns [{ path, newPath, content, changes: [{ line, before, after }] }], where `path`
+ * is the note's current location and `newPath` where it will live after the move.
+ */
+export function planLinkUpdates(docs, files, moves) {
+    const resolveOld = createWikilinkResolver(files);
+    const resolveNew = createWikilinkResolver(files.map(f => moves.has(f.path) ? { ...f, path: moves.get(f.path) } : f));
+    const existing = new Set(files.map(f => f.path));
+    const plan = [];
+
+    for (const [path, doc] of docs) {
+        const newPath = moves.get(path) ?? path;
+        const edits = [];
+
+        for (const link of doc.links) {
+            let replacement = null;
+
+            if (link.kind === 'markdown') {
+                const oldTarget = resolveRelativeHref(link.target, path);
+                if (!oldTarget || !existing.has(oldTarget)) continue;
+                const newTarget = moves.get(oldTarget) ?? oldTarget;
+                if (resolveRelativeHref(link.target, newPath) === newTarget) continue;
+                const href = link.target.replace(/^</, '').startsWith('/')
+                    ? '/' + newTarget
+                    : relativePath(dirname(newPath), newTarget);
+                replacement = rewriteLinkText(doc.content.slice(link.from, link.to), link, href);
+            } else {
+                const oldTarget = resolveOld(link.target, path)?.path;
+                if (!oldTarget) continue;
+                const newTarget = moves.get(oldTarget) ?? oldTarget;
+                if (resolveNew(link.target, newPath)?.path === newTarget) continue;
+                const target = wikiTargetFor(newTarget, link.target, newPath, resolveNew);
+                replacement = rewriteLinkText(doc.content.slice(link.from, link.to), link, target);
+            }
+
+            edits.push({ from: link.from, to: link.to, text: replacement });
+        }
+
+        if (edits.length === 0) continue;
+
+        // Apply back to front so earlier offsets stay valid
+        let content = doc.content;
+        for (const edit of [...edits].sort((a, b) => b.from - a.from)) {
+            content = content.slice(0, edit.from) + edit.text + content.slice(edit.to);
+        }
+
+        const before = doc.content.split('\n');
+        const after = content.split('\n');
+        const changes = [];
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] !== after[i]) changes.push({ line: i, before: before[i], after: after[i] });
+        }
+        plan.push({ path, newPath, content, changes });
+    }
+
+    return plan.sort((a, b) => a.path.localeCompare(b.path));
+}
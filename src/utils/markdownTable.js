@@ -0,0 +1,114 @@
+/**
+ * GFM tables as data: { rows, align }, where rows[0] is the header row and `align` holds each
+ * column's alignment ('left', 'center', 'right' or null for the default). The editing
+ * functions return a new table and leave the one they're given alone.
+ */
+
+// Cells are separated by pipes that aren't escaped as \|
+function splitRow(line) {
+    const cells = line.trim().split(/(?<!\\)\|/);
+    if (cells.length > 1 && cells[0].trim() === '') cells.shift();
+    if (cells.length > 1 && cells[cells.length - 1].trim() === '') cells.pop();
+    return cells.map(cell => cell.trim());
+}
+
+function isSeparatorRow(line) {
+    const cells = splitRow(line);
+    return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+}
+
+function parseAlignment(cell) {
+    if (/^:-+:$/.test(cell)) return 'center';
+    if (/^:-+$/.test(cell)) return 'left';
+    if (/^-+:$/.test(cell)) return 'right';
+    return null;
+}
+
+/**
+ * Parse a markdown table (header row, separator row, body rows). Short rows are padded with
+ * empty cells so every row has as many cells as the widest one.
+ */
+export function parseTable(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    const separator = lines.findIndex(isSeparatorRow);
+    const rows = lines.filter((_, i) => i !== separator).map(splitRow);
+    const columns = Math.max(1, ...rows.map(row => row.length));
+    const alignCells = separator === -1 ? [] : splitRow(lines[separator]);
+    return {
+        rows: rows.map(row => Array.from({ length: columns }, (_, i) => row[i] ?? '')),
+        align: Array.from({ length: columns }, (_, i) => (alignCells[i] ? parseAlignment(alignCells[i]) : null)),
+    };
+}
+
+function padCell(text, width, align) {
+    const space = width - text.length;
+    if (align === 'right') return ' '.repeat(space) + text;
+    if (align === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+    return text + ' '.repeat(space);
+}
+
+function separatorCell(width, align) {
+    if (align === 'center') return `:${'-'.repeat(width - 2)}:`;
+    if (align === 'left') return `:${'-'.repeat(width - 1)}`;
+    if (align === 'right') return `${'-'.repeat(width - 1)}:`;
+    return '-'.repeat(width);
+}
+
+/**
+ * Write a table back to markdown, with every column padded to its widest cell.
+ */
+export function formatTable({ rows, align }) {
+    const widths = align.map((_, col) => Math.max(3, ...rows.map(row => row[col].length)));
+    const line = (cells) => `| ${cells.join(' | ')} |`;
+    const [header, ...body] = rows;
+    return [
+        line(header.map((cell, col) => padCell(cell, widths[col], align[col]))),
+        line(widths.map((width, col) => separatorCell(width, align[col]))),
+        ...body.map(row => line(row.map((cell, col) => padCell(cell, widths[col], align[col])))),
+    ].join('\n');
+}
+
+/**
+ * Turn typed text into cell content: one line, with literal pipes escaped.
+ */
+export function toCellText(text) {
+    return text.replace(/[\n\u00a0]/g, ' ').trim().replace(/(?<!\\)\|/g, '\\|');
+}
+
+export function setCell(table, row, col, text) {
+    return { ...table, rows: table.rows.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? text : cell)) : cells)) };
+}
+
+// `index` counts the header as row 0, so body rows start at 1
+export function insertRow(table, index) {
+    const rows = [...table.rows];
+    rows.splice(index, 0, table.align.map(() => ''));
+    return { ...table, rows };
+}
+
+export function deleteRow(table, index) {
+    return { ...table, rows: table.rows.filter((_, r) => r !== index) };
+}
+
+export function insertColumn(table, index) {
+    const insert = (cells, value) => [...cells.slice(0, index), value, ...cells.slice(index)];
+    return { rows: table.rows.map(row => insert(row, '')), align: insert(table.align, null) };
+}
+
+export function deleteColumn(table, index) {
+    const remove = (cells) => cells.filter((_, c) => c !== index);
+    return { rows: table.rows.map(remove), align: remove(table.align) };
+}
+
+export function moveColumn(table, from, to) {
+    const move = (cells) => {
+        const next = [...cells];
+        next.splice(to, 0, next.splice(from, 1)[0]);
+        return next;
+    };
+    return { rows: table.rows.map(move), align: move(table.align) };
+}
+
+export function setAlignment(table, col, align) {
+    return { ...table, align: table.align.map((value, c) => (c === col ? align : value)) };
+}
@@ -0,0 +1,166 @@
+/**
+ * Line-based diffing and three-way merging, used to reconcile an unsaved buffer
+ * with a copy of the same note that changed on disk.
+ */
+
+/**
+ * The middle snake of the shortest edit path turning a[aLo, aHi) into b[bLo, bHi): the run of
+ * matching lines { x, y, u, v } (offsets into the ranges, from (x, y) to (u, v)) that the path
+ * crosses halfway through its edits. Found by searching from both ends at once, in linear space.
+ * Null if the path takes more than `maxEdits` edits.
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi, maxEdits) {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const offset = n + m + 2;
+    // Furthest x reached on each diagonal k = x - y, going forwards from (0, 0) and backwards from (n, m)
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+    forward[offset + 1] = 0;
+    backward[offset + delta - 1] = n;
+
+    for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+        // Paths found in the forward pass take 2d - 1 edits, those found going backwards 2d
+        if (2 * d - 1 > maxEdits) return null;
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+            forward[offset + k] = x;
+            if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x >= backward[offset + k]) {
+                return { x: startX, y: startY, u: x, v: y };
+            }
+        }
+        if (2 * d > maxEdits) return null;
+        for (let c = -d; c <= d; c += 2) {
+            const k = delta + c;
+            let x = (c === d || (c !== -d && backward[offset + k - 1] < backward[offset + k + 1] - 1))
+                ? backward[offset + k - 1]
+                : backward[offset + k + 1] - 1;
+            let y = x - k;
+            const endX = x;
+            const endY = y;
+            while (x > 0 && y > 0 && a[aLo + x - 1] === b[bLo + y - 1]) { x--; y--; }
+            backward[offset + k] = x;
+            if (!odd && k >= -d && k <= d && x <= forward[offset + k]) {
+                return { x, y, u: endX, v: endY };
+            }
+        }
+    }
+    throw new Error('No middle snake found');
+}
+
+// Append the edit script of a[aLo, aHi) → b[bLo, bHi) to `ops`. False if it takes more than `maxEdits` edits.
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops, maxEdits = Infinity) {
+    // Lines shared at the start and the end need no searching
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+        ops.push({ type: 'equal', line: a[aLo] });
+        aLo++;
+        bLo++;
+    }
+    let suffix = 0;
+    while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+    aHi -= suffix;
+    bHi -= suffix;
+
+    if ((aLo === aHi || bLo === bHi) && (aHi - aLo) + (bHi - bLo) > maxEdits) return false;
+    if (aLo === aHi) {
+        for (let j = bLo; j < bHi; j++) ops.push({ type: 'insert', line: b[j] });
+    } else if (bLo === bHi) {
+        for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', line: a[i] });
+    } else {
+        // Both ends differ, so the path takes at least two edits and each half takes fewer
+        const snake = middleSnake(a, aLo, aHi, b, bLo, bHi, maxEdits);
+        if (!snake) return false;
+        const { x, y, u, v } = snake;
+        diffRange(a, aLo, aLo + x, b, bLo, bLo + y, ops);
+        for (let i = aLo + x; i < aLo + u; i++) ops.push({ type: 'equal', line: a[i] });
+        diffRange(a, aLo + u, aHi, b, bLo + v, bHi, ops);
+    }
+
+    for (let i = aHi; i < aHi + suffix; i++) ops.push({ type: 'equal', line: a[i] });
+    return true;
+}
+
+/**
+ * Myers diff over two arrays of lines, in linear space so large rewrites stay cheap on memory.
+ * Returns a list of { type: 'equal' | 'delete' | 'insert', line } operations turning `a` into `b`,
+ * or null when that takes more than `maxEdits` insertions and deletions: the time taken grows
+ * with the number of edits, so very different texts are better not diffed at all.
+ */
+export function diffLines(a, b, { maxEdits = Infinity } = {}) {
+    const ops = [];
+    return diffRange(a, 0, a.length, b, 0, b.length, ops, maxEdits) ? ops : null;
+}
+
+/**
+ * For each line of `base`, the index of the line in `other` it is matched with (or -1).
+ * Null if the two differ by more than `maxEdits` lines.
+ */
+function matchLines(base, other, maxEdits) {
+    const ops = diffLines(base, other, { maxEdits });
+    if (!ops) return null;
+    const match = new Array(base.length).fill(-1);
+    let i = 0;
+    let j = 0;
+    for (const op of ops) {
+        if (op.type === 'equal') match[i++] = j++;
+        else if (op.type === 'delete') i++;
+        else j++;
+    }
+    return match;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Three-way merge of two edited versions of `base`.
+ * Changes made on only one side are applied automatically; overlapping edits become
+ * conflict blocks marked with <<<<<<< / ======= / >>>>>>>.
+ * Returns { text, conflicts }, or null if either side differs from `base` by more than `maxEdits` lines.
+ */
+export function mergeThreeWay(base, mine, theirs, { mineLabel = 'mine', theirsLabel = 'disk', maxEdits = Infinity } = {}) {
+    const baseLines = base.split('\n');
+    const mineLines = mine.split('\n');
+    const theirLines = theirs.split('\n');
+    const toMine = matchLines(baseLines, mineLines, maxEdits);
+    const toTheirs = toMine && matchLines(baseLines, theirLines, maxEdits);
+    if (!toTheirs) return null;
+
+    const out = [];
+    let conflicts = 0;
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    const flushChunk = (iEnd, jEnd, kEnd) => {
+        const b = baseLines.slice(i, iEnd);
+        const m = mineLines.slice(j, jEnd);
+        const t = theirLines.slice(k, kEnd);
+        if (sameLines(m, b)) out.push(...t);
+        else if (sameLines(t, b) || sameLines(m, t)) out.push(...m);
+        else {
+            conflicts++;
+            out.push(`<<<<<<< ${mineLabel}`, ...m, '=======', ...t, `>>>>>>> ${theirsLabel}`);
+        }
+    };
+
+    for (let s = 0; s < baseLines.length; s++) {
+        // A base line kept by both sides is a stable anchor
+        if (toMine[s] < j || toTheirs[s] < k) continue;
+        flushChunk(s, toMine[s], toTheirs[s]);
+        out.push(baseLines[s]);
+        i = s + 1;
+        j = toMine[s] + 1;
+        k = toTheirs[s] + 1;
+    }
+    flushChunk(baseLines.length, mineLines.length, theirLines.length);
+
+    return { text: out.join('\n'), conflicts };
+}
@@ -0,0 +1,79 @@
+import { exportNoteHtml } from './exportHtml.js';
+
+/**
+ * Print a note (or save it as PDF through the print dialog) from a dedicated rendering of the
+ * whole note, instead of the app window with its sidebar and partially rendered editor.
+ * The note is rendered like an HTML export into a hidden frame, which is printed and removed.
+ */
+
+export const PRINT_PAGE_SIZES = ['A4', 'Letter', 'Legal', 'A5'];
+
+// How long the print frame is kept when the browser never says the dialog closed
+const PRINT_DIALOG_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Print rules: page size and margins, a page break before every top-level heading but the
+ * first, and no breaks inside blocks that would be unreadable split across pages.
+ */
+function printStylesheet(pageSize, marginMm) {
+    return `
+@page { size: ${pageSize}; margin: ${marginMm}mm; }
+@media print {
+  body { background: none; }
+  .markdown-export { max-width: none; margin: 0; padding: 0; }
+  h1 { break-before: page; }
+  .markdown-export > h1:first-child { break-before: auto; }
+  h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+  pre, table, img, .cm-math-block, blockquote { break-inside: avoid; }
+  .cm-live-codeblock { white-space: pre-wrap; overflow-wrap: anywhere; }
+  a { text-decoration: underline; }
+}
+`;
+}
+
+/**
+ * Options: title, readImage (see exportNoteHtml), pageSize (one of PRINT_PAGE_SIZES) and
+ * marginMm. Resolves once the print dialog has closed.
+ */
+export async function printNote(content, { title, readImage, pageSize = 'A4', marginMm = 20 }) {
+    // Always printed in the light theme: dark backgrounds are usually dropped by the printer anyway
+    const html = await exportNoteHtml(content, {
+        title,
+        theme: 'light',
+        readImage,
+        extraCss: printStylesheet(pageSize, marginMm),
+    });
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    // Same origin so the frame can be printed from here, but no scripts: the note's own markup must not run
+    frame.setAttribute('sandbox', 'allow-modals allow-same-origin');
+    frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+    document.body.appendChild(frame);
+
+    try {
+        await new Promise((resolve) => {
+            frame.onload = resolve;
+            frame.srcdoc = html;
+        });
+        const win = frame.contentWindow;
+        // Inlined images still decode after load; printing before that leaves gaps
+        await Promise.all([...win.document.images].map(img => img.decode().catch(() => {})));
+        // Some browsers return from print() before the dialog closes; the frame must outlive it
+        let done;
+        const closed = new Promise(resolve => { done = resolve; });
+        win.addEventListener('afterprint', done, { once: true });
+        win.focus();
+        win.print();
+        // Not every browser fires afterprint: focus coming back also means the dialog is gone,
+        // and the frame is removed after a while regardless
+        win.addEventListener('focus', done, { once: true });
+        window.addEventListener('focus', done, { once: true });
+        const timer = setTimeout(done, PRINT_DIALOG_TIMEOUT);
+        await closed;
+        clearTimeout(timer);
+        window.removeEventListener('focus', done);
+    } finally {
+        frame.remove();
+    }
+}
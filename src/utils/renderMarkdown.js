@@ -0,0 +1,275 @@
+import { markdownLanguage } from '@codemirror/lang-markdown';
+import { renderMath } from '../editor/mathWidget.js';
+import { TableWidget } from '../editor/tableWidget.js';
+import { HorizontalRuleWidget } from '../editor/hrWidget.js';
+import { PropertiesWidget } from '../editor/propertiesWidget.js';
+import { TaskCheckboxWidget, taskStatus } from '../editor/taskWidget.js';
+import { MermaidWidget, renderMermaid } from '../editor/mermaidWidget.js';
+import { CodeBlockWidget, parseCodeInfo, loadCodeLanguage } from '../editor/codeBlockWidget.js';
+import { FootnoteRefWidget } from '../editor/footnoteWidget.js';
+import { CALLOUT_REGEX, calloutKind, defaultCalloutTitle, calloutIconSvg } from '../editor/calloutWidget.js';
+import { WIKILINK_REGEX, wikilinkLabel } from './wikilinks.js';
+import { parseFrontMatter } from './frontMatter.js';
+import { TAG_REGEX } from './tags.js';
+import { findFootnotes, FOOTNOTE_REGEX } from './footnotes.js';
+import { safeHref } from './safeUrl.js';
+
+/**
+ * Render a whole note to static HTML for use outside the editor (export, printing).
+ * Follows the live preview's rules (editor/livePreview.js) and reuses its widgets and classes,
+ * so a note looks the same in an exported file as it does in read mode.
+ */
+
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Heading text to a URL fragment, e.g. "Getting Started!" -> "getting-started"
+function slugify(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+const BLOCK_MATH_REGEX = /\$\$([\s\S]+?)\$\$/g;
+const INLINE_MATH_REGEX = /(?<!\$)\$(?!\$)(.+?)(?<!\$)\$(?!\$)/g;
+const EMBED_REGEX = /!\[\[([^\]|]+)(?:\s*\|\s*(\d+))?\]\]/g;
+const IMAGE_REGEX = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+const LINK_REGEX = /\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+const AUTOLINK_REGEX = /<(https?:\/\/[^>\s]+)>/g;
+
+async function renderImage(src, alt, width, ctx) {
+    const url = /^(https?:|data:)/.test(src) ? src : await ctx.loadImage(src);
+    if (!url) return `<span class="cm-image-placeholder error">Image not found: ${escapeHtml(src)}</span>`;
+    const style = width ? ` style="width: ${width}px"` : '';
+    return `<span class="cm-image-widget"><img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${style}></span>`;
+}
+
+/**
+ * Render the inline markdown of a paragraph or heading. Constructs whose contents must not be
+ * touched by later rules (code, math, images, links) are swapped for placeholders first and put
+ * back at the end.
+ */
+async function renderInline(text, ctx) {
+    const held = [];
+    // Placeholders are wrapped in a private-use character that never appears in notes
+    const hold = (html) => `\uE000${held.push(html) - 1}\uE000`;
+    let out = text;
+
+    out = out.replace(/(`+)([\s\S]+?)\1/g, (_, ticks, code) => hold(`<code class="cm-live-code">${escapeHtml(code.trim())}</code>`));
+    out = out.replace(BLOCK_MATH_REGEX, (_, latex) => hold(ctx.renderMath(latex.trim(), true)));
+    out = out.replace(INLINE_MATH_REGEX, (_, latex) => hold(ctx.renderMath(latex, false)));
+    out = out.replace(/\\([!-/:-@[-`{-~])/g, (_, char) => hold(escapeHtml(char)));
+    // Before links, since an ^[inline footnote] may contain one. References to undefined
+    // footnotes stay as typed.
+    out = out.replace(FOOTNOTE_REGEX, (match, label) => {
+        const number = label ? ctx.footnotes.numbers.get(label.toLowerCase()) : ctx.footnotes.inline.shift();
+        return number ? hold(new FootnoteRefWidget(number).toDOM().outerHTML) : match;
+    });
+    out = out.replace(EMBED_REGEX, (_, name, width) => hold(renderImage(name.trim(), name.trim(), width, ctx)));
+    out = out.replace(IMAGE_REGEX, (_, alt, src) => hold(renderImage(src, alt, null, ctx)));
+    out = out.replace(new RegExp(WIKILINK_REGEX.source, 'g'), (_, target, heading, alias) => {
+        return hold(`<span class="cm-wikilink">${escapeHtml(wikilinkLabel(target.trim(), heading, alias))}</span>`);
+    });
+    out = out.replace(LINK_REGEX, (_, label, url) => {
+        // Links that aren't safe to follow keep their text only
+        const href = safeHref(url);
+        return hold(renderInline(label, ctx).then(html => (
+            href === null ? html : `<a class="cm-live-link" href="${escapeHtml(href)}">${html}</a>`
+        )));
+    });
+    out = out.replace(AUTOLINK_REGEX, (_, url) => hold(`<a class="cm-live-link" href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    out = escapeHtml(out)
+        .replace(/\*{3}(.+?)\*{3}/g, '<strong><em>$1</em></strong>')
+        .replace(/\*{2}(.+?)\*{2}/g, '<strong>$1</strong>')
+        .replace(/(?<!\w)_{2}(.+?)_{2}(?!\w)/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/(?<!\w)_(.+?)_(?!\w)/g, '<em>$1</em>')
+        .replace(/~~(.+?)~~/g, '<span class="cm-live-strikethrough">$1</span>')
+        .replace(/(?<!=)==(?!=)(.+?)(?<!=)==(?!=)/g, '<span class="cm-live-highlight">$1</span>')
+        .replace(TAG_REGEX, '<span class="cm-tag">$&</span>')
+        // Two trailing spaces or a backslash end a line with a hard break
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    const resolved = await Promise.all(held);
+    return out.replace(/\uE000(\d+)\uE000/g, (_, i) => resolved[i]);
+}
+
+/**
+ * Remove up to `width` columns of leading whitespace from every line after the first.
+ */
+function dedentContinuation(text, width) {
+    const pattern = new RegExp(`^[ \\t]{0,${width}}`);
+    return text.split('\n').map((line, i) => i === 0 ? line : line.replace(pattern, '')).join('\n');
+}
+
+async function renderList(node, text, ctx) {
+    const ordered = node.name === 'OrderedList';
+    const items = [];
+    let start = null;
+
+    for (let item = node.firstChild; item; item = item.nextSibling) {
+        if (item.name !== 'ListItem') continue;
+        const lineStart = text.lastIndexOf('\n', item.from - 1) + 1;
+        const source = text.slice(item.from, item.to);
+        const marker = source.match(/^([-*+]|(\d+)[.)])([ \t]+|$)/);
+        if (!marker) continue;
+        if (ordered && start === null) start = parseInt(marker[2], 10);
+
+        // Render the item's contents as a document of their own, indented back to column 0
+        const indent = item.from - lineStart + marker[0].length;
+        let content = source.slice(marker[0].length);
+        const task = content.match(/^\[(.)\](?:[ \t]+|$)/);
+        if (task) content = content.slice(task[0].length);
+        let body = await renderBlocks(dedentContinuation(content, indent), ctx);
+        // A tight item (no blank lines) doesn't wrap its text in a paragraph
+        if (!/\n[ \t]*\n/.test(source)) body = body.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        if (!task) {
+            items.push(`<li>${body}</li>`);
+            continue;
+        }
+        const status = taskStatus(task[1]);
+        const done = status === 'done' || status === 'cancelled' ? ' cm-live-task-done' : '';
+        items.push(`<li class="task-list-item${done}">${new TaskCheckboxWidget(task[1]).toDOM().outerHTML}${body}</li>`);
+    }
+
+    if (!ordered) return `<ul>\n${items.join('\n')}\n</ul>`;
+    const startAttr = start !== null && start !== 1 ? ` start="${start}"` : '';
+    return `<ol${startAttr}>\n${items.join('\n')}\n</ol>`;
+}
+
+function renderCode(lines) {
+    return `<pre class="cm-live-codeblock"><code>${escapeHtml(lines.join('\n'))}</code></pre>`;
+}
+
+// Foldable callouts become <details>, open unless folded by default (`[!type]-`)
+async function renderCallout([, type, foldMarker, title], body, ctx) {
+    const heading = title.trim() ? await renderInline(title.trim(), ctx) : escapeHtml(defaultCalloutTitle(type));
+    const titleHtml = `<span class="callout-icon">${calloutIconSvg(type)}</span><span class="callout-title-text">${heading}</span>`;
+    const content = body.trim() ? `\n<div class="callout-content">\n${await renderBlocks(body, ctx)}\n</div>` : '';
+    const attrs = `class="callout" data-callout="${escapeHtml(type.toLowerCase())}" style="--callout-color: ${calloutKind(type).color}"`;
+    if (!foldMarker) return `<div ${attrs}>\n<div class="callout-title">${titleHtml}</div>${content}\n</div>`;
+    const open = foldMarker === '+' ? ' open' : '';
+    return `<details ${attrs}${open}>\n<summary class="callout-title">${titleHtml}</summary>${content}\n</details>`;
+}
+
+async function renderBlock(node, text, ctx) {
+    const source = text.slice(node.from, node.to);
+    const name = node.name;
+
+    if (name.startsWith('ATXHeading') || name.startsWith('SetextHeading')) {
+        const level = parseInt(name.slice(-1), 10);
+        const content = name.startsWith('ATX')
+            ? source.replace(/^#{1,6}[ \t]*/, '').replace(/[ \t]+#+[ \t]*$/, '').trim()
+            : source.split('\n').slice(0, -1).join('\n').trim();
+        const html = await renderInline(content, ctx);
+        let id = slugify(content);
+        // Repeated headings get -1, -2, … like most markdown renderers
+        const count = ctx.slugs.get(id) || 0;
+        ctx.slugs.set(id, count + 1);
+        if (count) id = `${id}-${count}`;
+        return `<h${level} id="${id}" class="cm-live-heading cm-live-heading-${level}">${html}</h${level}>`;
+    }
+
+    switch (name) {
+        case 'Paragraph': {
+            const html = await renderInline(source, ctx);
+            // A paragraph that is only block math renders as the math block itself
+            if (/^\$\$(?:(?!\$\$)[\s\S])+\$\$$/.test(source.trim())) return html;
+            return `<p>${html}</p>`;
+        }
+        case 'Blockquote': {
+            const inner = source.split('\n').map(line => line.replace(/^[ \t]*> ?/, '')).join('\n');
+            const callout = inner.split('\n')[0].match(CALLOUT_REGEX);
+            if (callout) return renderCallout(callout, inner.slice(inner.indexOf('\n') + 1 || inner.length), ctx);
+            return `<blockquote class="cm-live-blockquote">\n${await renderBlocks(inner, ctx)}\n</blockquote>`;
+        }
+        case 'BulletList':
+        case 'OrderedList':
+            return renderList(node, text, ctx);
+        case 'FencedCode': {
+            const lines = dedentContinuation(source, node.from - (text.lastIndexOf('\n', node.from - 1) + 1)).split('\n');
+            const info = lines[0].replace(/^[ \t]*(`{3,}|~{3,})/, '').trim();
+            const body = lines.slice(1);
+            if (body.length && /^[ \t]*(`{3,}|~{3,})[ \t]*$/.test(body[body.length - 1])) body.pop();
+            const code = body.join('\n');
+            if (parseCodeInfo(info).language.toLowerCase() === 'mermaid' && code.trim()) {
+                // Once rendered, the widget picks the diagram up from the renderer's cache
+                await renderMermaid(code, ctx.theme);
+                return new MermaidWidget(code, ctx.theme).toDOM().outerHTML;
+            }
+            // Likewise, a loaded language is highlighted right away
+            await loadCodeLanguage(info);
+            return new CodeBlockWidget(code, info, ctx.theme).toDOM().outerHTML;
+        }
+        case 'CodeBlock':
+            return renderCode(source.split('\n').map(line => line.replace(/^( {4}|\t)/, '')));
+        case 'HorizontalRule':
+            return new HorizontalRuleWidget().toDOM().outerHTML;
+        case 'Table':
+            return new TableWidget(source.trim()).toDOM().outerHTML;
+        case 'HTMLBlock':
+            // Shown as typed, the way the live preview shows it: exported files must not run a note's markup
+            return `<p>${escapeHtml(source).replace(/\n/g, '<br>\n')}</p>`;
+        case 'LinkReference':
+        case 'CommentBlock':
+            return '';
+        default:
+            return `<p>${await renderInline(source, ctx)}</p>`;
+    }
+}
+
+async function renderBlocks(text, ctx) {
+    const tree = markdownLanguage.parser.parse(text);
+    const blocks = [];
+    for (let node = tree.topNode.firstChild; node; node = node.nextSibling) {
+        const html = await renderBlock(node, text, ctx);
+        if (html) blocks.push(html);
+    }
+    return blocks.join('\n');
+}
+
+/**
+ * Render a markdown note to an HTML fragment.
+ * Options:
+ *   loadImage(src)   resolves an embed name (![[...]]) or a relative image path to a URL for
+ *                    the <img>, or null if there's no such image
+ *   mathOutput       KaTeX output mode: 'html' (needs KaTeX's stylesheet) or 'mathml'
+ *   theme            'light' or 'dark', the palette for Mermaid diagrams
+ */
+export async function renderMarkdown(text, { loadImage, mathOutput = 'html', theme = 'light' }) {
+    const ctx = {
+        loadImage,
+        theme,
+        renderMath: (latex, displayMode) => renderMath(latex, displayMode, mathOutput).outerHTML,
+        slugs: new Map(),
+    };
+    let source = text.replace(/\r\n?/g, '\n');
+
+    // Footnote definitions move to a section at the end, like in read mode
+    const footnotes = findFootnotes(source);
+    ctx.footnotes = {
+        numbers: new Map(footnotes.notes.filter(note => note.key !== null).map(note => [note.key, note.number])),
+        // Inline footnotes are numbered in the order they are rendered, which is document order
+        inline: footnotes.references.filter(reference => reference.key === null).map(reference => reference.number),
+    };
+    for (const { from, to } of [...footnotes.definitions].reverse()) {
+        source = source.slice(0, from) + source.slice(to);
+    }
+
+    // Front matter becomes the same properties table the editor shows
+    const frontMatter = parseFrontMatter(source);
+    let body = await renderBlocks(frontMatter ? source.slice(frontMatter.bodyFrom) : source, ctx);
+    if (footnotes.notes.length) {
+        const items = [];
+        for (const { number, text: note } of footnotes.notes) {
+            items.push(`<li id="fn-${number}"><div class="cm-footnote-text">${await renderBlocks(note, ctx)}</div></li>`);
+        }
+        body += `\n<section class="cm-footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+    }
+    if (!frontMatter?.properties.length) return body;
+    return `${new PropertiesWidget(frontMatter.properties).toDOM().outerHTML}\n${body}`;
+}
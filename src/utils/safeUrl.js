@@ -0,0 +1,11 @@
+/**
+ * The href to give a link to `url`, or null unless it is a web or mail address, a relative
+ * path or a fragment: other schemes (javascript:, data:, ...) could run code when clicked.
+ * Browsers ignore whitespace and control characters in a scheme, so they are dropped first.
+ */
+export function safeHref(url) {
+    const normalized = url.replace(/[\s\p{Cc}]/gu, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) return null;
+    return normalized;
+}
@@ -0,0 +1,176 @@
+const TOKEN_REGEX = /[\p{L}\p{N}_]+/gu;
+const MAX_LINES_PER_FILE = 50;
+
+/**
+ * Split text into the lowercase word tokens used as index keys.
+ */
+export function tokenize(text) {
+    const tokens = new Set();
+    for (const match of text.toLowerCase().matchAll(TOKEN_REGEX)) tokens.add(match[0]);
+    return tokens;
+}
+
+/**
+ * Parse a search query into its parts:
+ * - `path:folder/name` / `path:"with spaces"` — restrict to matching file paths
+ * - `tag:#project` — restrict to notes carrying the tag (nested tags included)
+ * - `"exact phrase"` — phrase that must appear verbatim
+ * - any other word — must appear somewhere in the note
+ * In regex mode everything that isn't a filter is treated as one pattern.
+ */
+export function parseSearchQuery(input, { regex = false } = {}) {
+    const query = { terms: [], phrases: [], pattern: null, paths: [], tags: [] };
+    const rest = [];
+    const tokenRe = /(path|tag):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+    let match;
+
+    while ((match = tokenRe.exec(input)) !== null) {
+        if (match[1]) {
+            const value = match[2] ?? match[3];
+            if (value) query[match[1].toLowerCase() === 'path' ? 'paths' : 'tags'].push(value);
+        } else if (regex) {
+            rest.push(match[0]);
+        } else if (match[4] !== undefined) {
+            if (match[4]) query.phrases.push(match[4]);
+        } else {
+            query.terms.push(match[5]);
+        }
+    }
+
+    if (regex && rest.length) query.pattern = rest.join(' ');
+    return query;
+}
+
+/**
+ * Inverted index from word tokens to the notes containing them.
+ * Used to narrow a query down to candidate notes before their content is scanned.
+ */
+export class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // token -> Set<path>
+        this.docTokens = new Map(); // path -> Set<token>
+    }
+
+    add(path, content) {
+        this.remove(path);
+        const tokens = tokenize(content);
+        this.docTokens.set(path, tokens);
+        for (const token of tokens) {
+            if (!this.postings.has(token)) this.postings.set(token, new Set());
+            this.postings.get(token).add(path);
+        }
+    }
+
+    remove(path) {
+        const tokens = this.docTokens.get(path);
+        if (!tokens) return;
+        for (const token of tokens) {
+            const paths = this.postings.get(token);
+            paths.delete(path);
+            if (paths.size === 0) this.postings.delete(token);
+        }
+        this.docTokens.delete(path);
+    }
+
+    /**
+     * Notes that could contain `text` as a substring: for each of its tokens,
+     * the union of postings of every indexed token containing it, intersected.
+     * Returns null when the text has no tokens (e.g. pure punctuation) and can't be pruned.
+     */
+    candidates(text) {
+        const queryTokens = [...tokenize(text)];
+        if (queryTokens.length === 0) return null;
+
+        let result = null;
+        for (const queryToken of queryTokens) {
+            const paths = new Set();
+            for (const [token, postings] of this.postings) {
+                if (token.includes(queryToken)) postings.forEach(p => paths.add(p));
+            }
+            result = result ? new Set([...result].filter(p => paths.has(p))) : paths;
+            if (result.size === 0) break;
+        }
+        return result;
+    }
+}
+
+/**
+ * Find all [start, end) occurrences of `needle` in `haystack`.
+ */
+function findAll(haystack, needle) {
+    const ranges = [];
+    if (!needle) return ranges;
+    let idx = haystack.indexOf(needle);
+    while (idx !== -1) {
+        ranges.push([idx, idx + needle.length]);
+        idx = haystack.indexOf(needle, idx + needle.length);
+    }
+    return ranges;
+}
+
+/**
+ * Match a parsed query against one note. Returns the matching ranges (document offsets),
+ * or null if the note doesn't satisfy every term.
+ */
+export function matchDocument(content, query, { caseSensitive = false, regex = null } = {}) {
+    const haystack = caseSensitive ? content : content.toLowerCase();
+    const ranges = [];
+
+    for (const needle of [...query.terms, ...query.phrases]) {
+        const found = findAll(haystack, caseSensitive ? needle : needle.toLowerCase());
+        if (found.length === 0) return null;
+        ranges.push(...found);
+    }
+
+    if (regex) {
+        const re = new RegExp(regex.source, regex.flags);
+        let match;
+        while ((match = re.exec(content)) !== null) {
+            if (match[0].length === 0) {
+                re.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        if (ranges.length === 0) return null;
+    }
+
+    // Sort and merge overlapping ranges so highlights never nest
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+    }
+    return merged;
+}
+
+/**
+ * Group document-offset ranges into per-line hits with line-relative ranges.
+ */
+export function groupRangesByLine(content, ranges) {
+    const lines = [];
+    let lineStart = 0;
+    let lineNo = 0;
+    let i = 0;
+
+    while (i < ranges.length && lines.length < MAX_LINES_PER_FILE) {
+        let lineEnd = content.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = content.length;
+
+        const hits = [];
+        while (i < ranges.length && ranges[i][0] <= lineEnd) {
+            const [from, to] = ranges[i++];
+            // Ranges spanning several lines (regex) are clipped to the line they start on
+            if (from >= lineStart) hits.push([from - lineStart, Math.min(to, lineEnd) - lineStart]);
+        }
+        if (hits.length) lines.push({ line: lineNo, text: content.slice(lineStart, lineEnd), ranges: hits });
+
+        if (lineEnd >= content.length) break;
+        lineStart = lineEnd + 1;
+        lineNo++;
+    }
+
+    return lines;
+}
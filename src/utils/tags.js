@@ -0,0 +1,137 @@
+import { parseFrontMatter, setProperty } from './frontMatter.js';
+
+/**
+ * Matches inline #tags, including nested ones like #project/alpha.
+ * A tag must start with a letter or underscore (so "#123" and "# Heading" are not tags),
+ * and must not be glued to a preceding word, URL or another '#', nor be a link's
+ * `](#anchor)` target.
+ * Group 1: tag name without the leading '#'
+ */
+export const TAG_REGEX = /(?<![\p{L}\p{N}_/#&])(?<!\]\()#([\p{L}_][\p{L}\p{N}_/-]*)/gu;
+
+// A complete tag name without the '#', e.g. "project/alpha"
+const TAG_NAME_REGEX = /^[\p{L}_][\p{L}\p{N}_/-]*$/u;
+
+/**
+ * True if `name` (without the leading '#') is a valid tag.
+ */
+export function isValidTag(name) {
+    return TAG_NAME_REGEX.test(name) && !name.endsWith('/') && !name.includes('//');
+}
+
+/**
+ * Find the inline #tags of a note: [{ tag, from, to }] with offsets into `content`.
+ * Front matter, fenced code blocks and inline code spans are skipped.
+ */
+export function findInlineTags(content) {
+    const frontMatter = parseFrontMatter(content);
+    const found = [];
+    let offset = frontMatter ? frontMatter.bodyFrom : 0;
+    let fence = null;
+
+    for (const line of content.slice(offset).split('\n')) {
+        const marker = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+        } else if (marker) {
+            fence = marker[1];
+        } else {
+            // Blank out code spans so tags inside them don't match, keeping the offsets intact
+            const text = line.replace(/(`+)[^`]+?\1/g, (span) => ' '.repeat(span.length));
+            for (const match of text.matchAll(TAG_REGEX)) {
+                found.push({ tag: match[1], from: offset + match.index, to: offset + match.index + match[0].length });
+            }
+        }
+        offset += line.length + 1;
+    }
+    return found;
+}
+
+/**
+ * Read the `tags:` (or `tag:`) property of a note's front matter.
+ * Accepts a list as well as comma-separated text (`tags: a, b`).
+ */
+function frontMatterTags(content) {
+    const frontMatter = parseFrontMatter(content);
+    if (!frontMatter) return [];
+
+    const tags = [];
+    for (const { key, type, value, complex } of frontMatter.properties) {
+        if (!/^tags?$/i.test(key) || complex) continue;
+        if (type === 'list') tags.push(...value);
+        else if (type === 'text') tags.push(...value.split(','));
+    }
+
+    return tags
+        .map(t => t.trim().replace(/^#/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Collect the unique tags of a note (inline and front matter), without the leading '#'.
+ * Tags are case-insensitive; the first spelling encountered is kept.
+ */
+export function extractTags(content) {
+    const seen = new Map();
+    const add = (tag) => {
+        const key = tag.toLowerCase();
+        if (!seen.has(key)) seen.set(key, tag);
+    };
+
+    frontMatterTags(content).forEach(add);
+    for (const { tag } of findInlineTags(content)) add(tag);
+
+    return [...seen.values()];
+}
+
+/**
+ * True if `tag` equals `filter` or is nested beneath it (#project matches #project/alpha).
+ */
+export function tagMatches(tag, filter) {
+    const t = tag.toLowerCase();
+    const f = filter.toLowerCase().replace(/^#/, '');
+    return t === f || t.startsWith(f + '/');
+}
+
+/**
+ * The name `tag` gets when `from` is renamed to `to`: nested tags move along
+ * (#project/alpha becomes #work/alpha when #project is renamed to #work). Null if unaffected.
+ */
+function renamedTag(tag, from, to) {
+    if (!tagMatches(tag, from)) return null;
+    return to + tag.slice(from.replace(/^#/, '').length);
+}
+
+/**
+ * Rename a tag (and the tags nested under it) throughout a note, inline and in the
+ * front matter's tags property. Returns the new content, unchanged if the note doesn't carry it.
+ */
+export function renameTag(content, from, to) {
+    let result = content;
+    // Back to front so earlier offsets stay valid
+    for (const { tag, from: start, to: end } of findInlineTags(content).reverse()) {
+        const renamed = renamedTag(tag, from, to);
+        if (renamed) result = result.slice(0, start) + '#' + renamed + result.slice(end);
+    }
+
+    const frontMatter = parseFrontMatter(result);
+    for (const property of frontMatter?.properties ?? []) {
+        if (!/^tags?$/i.test(property.key) || property.complex) continue;
+        const items = property.type === 'list' ? property.value : property.value.split(',').map(t => t.trim());
+        let changed = false;
+        const value = items.map(item => {
+            const hash = item.startsWith('#') ? '#' : '';
+            const renamed = renamedTag(item.slice(hash.length), from, to);
+            if (!renamed) return item;
+            changed = true;
+            return hash + renamed;
+        });
+        if (changed) {
+            result = setProperty(result, property.key, {
+                ...property,
+                value: property.type === 'list' ? value : value.join(', '),
+            });
+        }
+    }
+    return result;
+}
@@ -0,0 +1,81 @@
+/**
+ * Helpers for the vault's .Trash folder.
+ *
+ * Trashed files and folders are moved into .Trash under a name that doesn't collide with
+ * anything already there. A manifest, .Trash/.trash.json, records where each entry came
+ * from and when it was deleted so it can be put back later.
+ */
+
+export const TRASH_DIR = '.Trash';
+const MANIFEST_NAME = '.trash.json';
+
+/**
+ * Join a folder path and an entry name ('' is the vault root).
+ */
+function joinPath(dirPath, name) {
+    return dirPath ? `${dirPath}/${name}` : name;
+}
+
+/**
+ * Whether `name` exists in the folder at `dirPath`, as either a file or a folder.
+ */
+export async function entryExists(storage, dirPath, name) {
+    return (await storage.kindOf(joinPath(dirPath, name))) !== null;
+}
+
+/**
+ * Return `name`, or "name 1", "name 2"… (before the extension for files) if it is taken.
+ */
+export async function uniqueEntryName(storage, dirPath, name, isDirectory = false) {
+    if (!(await entryExists(storage, dirPath, name))) return name;
+    const dot = isDirectory ? -1 : name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let i = 1; ; i++) {
+        const candidate = `${stem} ${i}${ext}`;
+        if (!(await entryExists(storage, dirPath, candidate))) return candidate;
+    }
+}
+
+/**
+ * Read the manifest: [{ name, originalPath, kind, deletedAt }]. Missing or unreadable → [].
+ */
+export async function readTrashManifest(storage) {
+    try {
+        const entries = JSON.parse(await storage.readText(`${TRASH_DIR}/${MANIFEST_NAME}`));
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+}
+
+export async function writeTrashManifest(storage, entries) {
+    await storage.write(`${TRASH_DIR}/${MANIFEST_NAME}`, JSON.stringify(entries, null, 2));
+}
+
+/**
+ * List everything in the trash, newest first, with the metadata from the manifest:
+ * [{ name, kind, path, originalPath, deletedAt }].
+ * Items without a manifest entry (trashed by older versions, or put there by hand)
+ * are restored to the vault root and have no deletion time.
+ */
+export async function listTrashEntries(storage) {
+    const manifest = await readTrashManifest(storage);
+    const byName = new Map(manifest.map(entry => [entry.name, entry]));
+    const items = [];
+
+    for (const { name, kind } of await storage.list(TRASH_DIR)) {
+        if (name === MANIFEST_NAME || name === '.DS_Store') continue;
+        const entry = byName.get(name);
+        items.push({
+            name,
+            kind,
+            path: `${TRASH_DIR}/${name}`,
+            originalPath: entry?.originalPath ?? name,
+            deletedAt: entry?.deletedAt ?? null,
+        });
+    }
+
+    items.sort((a, b) => (b.deletedAt ?? 0) - (a.deletedAt ?? 0) || a.name.localeCompare(b.name));
+    return items;
+}
@@ -0,0 +1,290 @@
+import { WIKILINK_REGEX, createWikilinkResolver } from './wikilinks.js';
+import { dirname } from './fileTree.js';
+import { SearchIndex, parseSearchQuery, matchDocument, groupRangesByLine } from './searchIndex.js';
+import { extractTags, tagMatches } from './tags.js';
+
+// ![[embed.png]] or ![[embed.png | 200]]
+const EMBED_REGEX = /!\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\]/g;
+// [text](relative/path.md) — excluding images (![alt](src)) and external URLs
+const MARKDOWN_LINK_REGEX = /(?<!!)\[[^\]]*\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+/**
+ * Resolve a relative markdown link href against the folder of the note containing it.
+ * Returns a vault-relative path, or null for external/anchor-only links.
+ */
+export function resolveRelativeHref(href, sourcePath) {
+    let target = href.replace(/^<|>$/g, '');
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#')) return null;
+    target = target.split('#')[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch {
+        // Leave malformed escapes as-is
+    }
+
+    const parts = target.startsWith('/') ? [] : dirname(sourcePath).split('/').filter(Boolean);
+    for (const segment of target.split('/')) {
+        if (segment === '' || segment === '.') continue;
+        if (segment === '..') parts.pop();
+        else parts.push(segment);
+    }
+    return parts.join('/') || null;
+}
+
+/**
+ * Extract every outgoing link of a note along with the line it appears on.
+ * kind: 'wiki' ([[Note]]), 'embed' (![[file]]) or 'markdown' ([text](path.md)).
+ * Fenced code blocks and inline code spans are skipped.
+ */
+export function extractLinks(content) {
+    const links = [];
+    const lines = content.split('\n');
+    let offset = 0;
+    let fence = null;
+
+    for (let lineNo = 0; lineNo < lines.length; lineNo++) {
+        const line = lines[lineNo];
+        const marker = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+            offset += line.length + 1;
+            continue;
+        }
+        if (marker) {
+            fence = marker[1];
+            offset += line.length + 1;
+            continue;
+        }
+
+        // Blank out code spans so links inside them don't match, keeping the offsets intact
+        const text = line.replace(/(`+)[^`]+?\1/g, (span) => ' '.repeat(span.length));
+        const collect = (regex, kind) => {
+            const re = new RegExp(regex.source, 'g');
+            let match;
+            while ((match = re.exec(text)) !== null) {
+                links.push({
+                    kind,
+                    target: match[1].trim(),
+                    line: lineNo,
+                    from: offset + match.index,
+                    to: offset + match.index + match[0].length,
+                });
+            }
+        };
+        collect(WIKILINK_REGEX, 'wiki');
+        collect(EMBED_REGEX, 'embed');
+        collect(MARKDOWN_LINK_REGEX, 'markdown');
+        offset += line.length + 1;
+    }
+
+    return links;
+}
+
+/**
+ * In-memory index of every markdown note in the vault, keyed by vault-relative path.
+ * Stores each note's content, outgoing links and tags, plus a full-text inverted index,
+ * so backlinks and searches can be answered without touching the file system.
+ * Kept current by FileSystemContext.
+ */
+export class VaultIndex {
+    constructor() {
+        this.docs = new Map(); // path -> { content, links, tags }
+        this.search = new SearchIndex();
+        this.listeners = new Set();
+        this.syncGeneration = 0;
+        this.version = 0;
+        this.lastSearch = null; // { key, result }
+        this.tagCache = null; // { version, counts }
+        this.backlinks = null; // targetPath -> [{ sourcePath, line, text }], rebuilt lazily
+        this.backlinksFiles = null;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.version++;
+        this.backlinks = null;
+        for (const listener of this.listeners) listener();
+    }
+
+    /**
+     * Bring the index in line with the given file nodes: drop notes that no
+     * longer exist and read the ones that are new. A newer sync cancels older ones.
+     */
+    async sync(files, readFile) {
+        const generation = ++this.syncGeneration;
+        const notes = files.filter(f => f.name.toLowerCase().endsWith('.md'));
+        const present = new Set(notes.map(f => f.path));
+        let changed = false;
+
+        for (const path of [...this.docs.keys()]) {
+            if (!present.has(path)) {
+                this.docs.delete(path);
+                this.search.remove(path);
+                changed = true;
+            }
+        }
+
+        for (const node of notes) {
+            if (this.docs.has(node.path)) continue;
+            try {
+                const content = await readFile(node.path);
+                if (generation !== this.syncGeneration) return;
+                this.setDoc(node.path, content);
+                changed = true;
+            } catch (err) {
+                console.warn('Could not index note:', node.path, err);
+            }
+        }
+
+        if (changed) this.notify();
+    }
+
+    setDoc(path, content) {
+        this.docs.set(path, { content, links: extractLinks(content), tags: extractTags(content) });
+        this.search.add(path, content);
+    }
+
+    /**
+     * Update a single note after it was written.
+     */
+    update(path, content) {
+        if (!path.toLowerCase().endsWith('.md')) return;
+        if (this.docs.get(path)?.content === content) return;
+        this.setDoc(path, content);
+        this.notify();
+    }
+
+    /**
+     * Find every note linking to `targetPath`, with the line each reference sits on.
+     * Wikilinks are resolved against `files` (every file in the vault) the same way the
+     * editor resolves them. The reverse link map is cached until the index or the file list changes.
+     */
+    getBacklinks(targetPath, files) {
+        if (!this.backlinks || this.backlinksFiles !== files) {
+            this.backlinks = this.buildBacklinks(files);
+            this.backlinksFiles = files;
+        }
+        return this.backlinks.get(targetPath) || [];
+    }
+
+    buildBacklinks(files) {
+        const resolve = createWikilinkResolver(files);
+        const map = new Map();
+        for (const [sourcePath, doc] of this.docs) {
+            const lines = doc.content.split('\n');
+            const seen = new Set();
+            for (const link of doc.links) {
+                const targetPath = link.kind === 'markdown'
+                    ? resolveRelativeHref(link.target, sourcePath)
+                    : resolve(link.target, sourcePath)?.path;
+                if (!targetPath || targetPath === sourcePath) continue;
+                // One entry per referring line, even if it links to the target twice
+                const key = targetPath + '\n' + link.line;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (!map.has(targetPath)) map.set(targetPath, []);
+                map.get(targetPath).push({ sourcePath, line: link.line, text: lines[link.line].trim() });
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Count the notes carrying each tag: Map of lowercased tag -> { name, count }.
+     * A parent tag counts every note with the tag itself or one nested under it, so
+     * #project includes the notes tagged #project/alpha. Cached until the index changes.
+     */
+    tagCounts() {
+        if (this.tagCache?.version === this.version) return this.tagCache.counts;
+
+        const counts = new Map();
+        for (const doc of this.docs.values()) {
+            const prefixes = new Map();
+            for (const tag of doc.tags) {
+                const parts = tag.split('/');
+                for (let i = 1; i <= parts.length; i++) {
+                    const name = parts.slice(0, i).join('/');
+                    if (!prefixes.has(name.toLowerCase())) prefixes.set(name.toLowerCase(), name);
+                }
+            }
+            for (const [key, name] of prefixes) {
+                const entry = counts.get(key);
+                if (entry) entry.count++;
+                else counts.set(key, { name, count: 1 });
+            }
+        }
+
+        this.tagCache = { version: this.version, counts };
+        return counts;
+    }
+
+    /**
+     * Paths of the notes carrying `tag` or a tag nested under it, sorted.
+     */
+    notesWithTag(tag) {
+        const paths = [];
+        for (const [path, doc] of this.docs) {
+            if (doc.tags.some(t => tagMatches(t, tag))) paths.push(path);
+        }
+        return paths.sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Run a vault-wide search. Returns { results: [{ path, matchCount, lines }], error }.
+     * Word and phrase terms are narrowed through the inverted index before notes are scanned.
+     * The last result is cached until the query or the index changes.
+     */
+    query(input, { caseSensitive = false, regex = false } = {}) {
+        const key = `${this.version}|${caseSensitive}|${regex}|${input}`;
+        if (this.lastSearch?.key === key) return this.lastSearch.result;
+
+        const result = this.runQuery(input, { caseSensitive, regex });
+        this.lastSearch = { key, result };
+        return result;
+    }
+
+    runQuery(input, { caseSensitive, regex }) {
+        const query = parseSearchQuery(input, { regex });
+        const hasText = query.terms.length > 0 || query.phrases.length > 0 || !!query.pattern;
+        if (!hasText && query.paths.length === 0 && query.tags.length === 0) {
+            return { results: [], error: null };
+        }
+
+        let pattern = null;
+        if (query.pattern) {
+            try {
+                pattern = new RegExp(query.pattern, caseSensitive ? 'g' : 'gi');
+            } catch (err) {
+                return { results: [], error: err.message };
+            }
+        }
+
+        // Narrow down through the inverted index
+        let candidates = null;
+        for (const text of [...query.terms, ...query.phrases]) {
+            const found = this.search.candidates(text);
+            if (!found) continue;
+            candidates = candidates ? new Set([...candidates].filter(p => found.has(p))) : found;
+        }
+
+        const results = [];
+        for (const path of candidates ?? this.docs.keys()) {
+            const doc = this.docs.get(path);
+            if (!doc) continue;
+            const lowerPath = path.toLowerCase();
+            if (!query.paths.every(p => lowerPath.includes(p.toLowerCase()))) continue;
+            if (!query.tags.every(t => doc.tags.some(tag => tagMatches(tag, t)))) continue;
+
+            const ranges = hasText ? matchDocument(doc.content, query, { caseSensitive, regex: pattern }) : [];
+            if (!ranges) continue;
+            results.push({ path, matchCount: ranges.length, lines: groupRangesByLine(doc.content, ranges) });
+        }
+
+        results.sort((a, b) => a.path.localeCompare(b.path));
+        return { results, error: null };
+    }
+}
@@ -0,0 +1,77 @@
+import { dirname, basename } from './fileTree.js';
+
+/**
+ * Matches Obsidian-style wikilinks: [[Note]], [[folder/Note]], [[Note#Heading]] and [[Note|alias]].
+ * Embeds (![[...]]) are excluded — they are rendered by the ImageWidget instead.
+ * Group 1: target, Group 2: heading/block fragment (optional), Group 3: alias (optional)
+ */
+export const WIKILINK_REGEX = /(?<!!)\[\[([^\]|#]+)(#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+/**
+ * Normalise a link target so it can be compared against vault paths.
+ */
+function normalizeTarget(target) {
+    return target.trim().replace(/^\.?\//, '').toLowerCase();
+}
+
+/**
+ * Build a resolver for wikilink targets over the flattened list of vault files.
+ * Follows Obsidian's rules: exact vault paths win, then path suffixes for
+ * targets containing a folder, then bare note names. The `.md` extension is optional.
+ * When several notes share a name, the one next to `sourcePath` wins, then the shortest path.
+ * Lookups are indexed by file name so resolving many links stays cheap on large vaults.
+ */
+export function createWikilinkResolver(files) {
+    const byPath = new Map();
+    const byName = new Map();
+    for (const file of files) {
+        const path = file.path.toLowerCase();
+        byPath.set(path, file);
+        const name = basename(path);
+        const keys = name.endsWith('.md') ? [name, name.slice(0, -3)] : [name];
+        for (const key of keys) {
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(file);
+        }
+    }
+
+    return (target, sourcePath = '') => {
+        const wanted = normalizeTarget(target);
+        if (!wanted) return null;
+        const variants = wanted.endsWith('.md') ? [wanted] : [wanted, wanted + '.md'];
+
+        for (const variant of variants) {
+            if (byPath.has(variant)) return byPath.get(variant);
+        }
+
+        const candidates = byName.get(basename(wanted)) || [];
+        const matches = candidates.filter(f => {
+            const path = f.path.toLowerCase();
+            return variants.some(v => path.endsWith('/' + v));
+        });
+        if (matches.length === 0) return null;
+        if (matches.length === 1) return matches[0];
+
+        const sourceDir = dirname(sourcePath);
+        const sibling = matches.find(f => dirname(f.path) === sourceDir);
+        if (sibling) return sibling;
+
+        return [...matches].sort((a, b) => a.path.length - b.path.length || a.path.localeCompare(b.path))[0];
+    };
+}
+
+/**
+ * Resolve a single wikilink target against the flattened list of vault files.
+ */
+export function resolveWikilink(target, files, sourcePath = '') {
+    return createWikilinkResolver(files)(target, sourcePath);
+}
+
+/**
+ * Text to display for a wikilink: the alias if given, otherwise the target (with its fragment).
+ */
+export function wikilinkLabel(target, fragment, alias) {
+    if (alias && alias.trim()) return alias.trim();
+    const name = target.trim().replace(/\.md$/i, '');
+    return fragment ? `${name} > ${fragment.slice(1)}` : name;
+}
@@ -0,0 +1,90 @@
+/**
+ * Minimal zip writer used to export a vault as a single download.
+ * Entries are stored uncompressed, which every unzip tool reads and keeps this small.
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields, which is what zip stores modification times as
+function dosDateTime(timestamp) {
+    const d = new Date(timestamp);
+    const year = Math.max(d.getFullYear(), 1980);
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+/**
+ * Build a zip archive from [{ path, data: Blob, lastModified? }] entries ('/'-separated paths).
+ * Resolves to a Blob of type application/zip.
+ */
+export async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.path);
+        const data = new Uint8Array(await entry.data.arrayBuffer());
+        const crc = crc32(data);
+        const { time, date } = dosDateTime(entry.lastModified ?? Date.now());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(6, 0x0800, true); // Flags: names are UTF-8
+        local.setUint16(8, 0, true); // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // Extra field length
+        parts.push(local, name, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true); // Central directory header signature
+        header.setUint16(4, 20, true); // Version made by
+        header.setUint16(6, 20, true); // Version needed to extract
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        // Extra field, comment, disk number, internal and external attributes are all zero
+        header.setUint32(42, offset, true); // Offset of the local header
+        central.push(header, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, entries.length, true); // Entries on this disk
+    end.setUint16(10, entries.length, true); // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}